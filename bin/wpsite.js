@@ -30,25 +30,48 @@ const chalk = require('chalk');
 const devCommand = require('../src/commands/dev');
 const initCommand = require('../src/commands/init');
 const doctorCommand = require('../src/commands/doctor');
+const dbCommand = require('../src/commands/db');
+const statusCommand = require('../src/commands/status');
+const stopCommand = require('../src/commands/stop');
+const logsCommand = require('../src/commands/logs');
+const lsCommand = require('../src/commands/ls');
+const coreCommand = require('../src/commands/core');
+const imageCommand = require('../src/commands/image');
+const containerCommand = require('../src/commands/container');
+const syncCommand = require('../src/commands/sync');
+
+// Comandos cuya salida se reenvía tal cual (sin banner para poder usarlos con tuberías)
+const PASSTHROUGH_COMMANDS = ['wp', 'exec'];
 
 // Banner
-console.log(chalk.blue('╔══════════════════════════════════════════════╗'));
-console.log(chalk.blue('║              WPSite CLI v1.3.0               ║'));
-console.log(chalk.blue('║         WordPress Development Tool           ║'));
-console.log(chalk.blue('╚══════════════════════════════════════════════╝'));
+if (!PASSTHROUGH_COMMANDS.includes(process.argv[2])) {
+  console.log(chalk.blue('╔══════════════════════════════════════════════╗'));
+  console.log(chalk.blue('║              WPSite CLI v1.3.0               ║'));
+  console.log(chalk.blue('║         WordPress Development Tool           ║'));
+  console.log(chalk.blue('╚══════════════════════════════════════════════╝'));
+}
 
 program
   .name('wpsite')
   .description('WordPress development CLI tool powered by Docker')
-  .version('1.3.0');
+  .version('1.3.0')
+  .enablePositionalOptions();
 
 // Comando dev con opciones mejoradas
 program
   .command('dev')
   .description('Start local WordPress development server')
   .option('-p, --port <number>', 'Port number', '8080')
-  .option('-t, --tunel', 'Start ngrok tunnel for public access')
-  .option('--tunnel', 'Start ngrok tunnel for public access (alias)')
+  .option('-t, --tunel', 'Start a public tunnel (ngrok by default)')
+  .option('--tunnel', 'Start a public tunnel (alias)')
+  .option('--tunnel-provider <name>', 'Tunnel provider: ngrok, cloudflared or custom')
+  .option('--local-db', 'Use a local MariaDB container instead of the remote database')
+  .option('--detach', 'Run in the background (log in .wpsite/dev.log)')
+  .option('--wp-version <version>', 'WordPress core version to use (e.g. 6.4.3)')
+  .option('--php <version>', 'PHP version of the container image (e.g. 8.1)')
+  .option('--xdebug', 'Enable Xdebug (step debugging on port 9003)')
+  .option('--php-errors', 'Show full PHP fatal/warning log lines as they happen')
+  .option('--errors-only', 'Hide file sync messages and only show PHP errors')
   .action((options) => {
     // Normalizar opciones de túnel
     if (options.tunnel) {
@@ -74,6 +97,207 @@ program
     doctorCommand();
   });
 
+// Comando status
+program
+  .command('status')
+  .description('Show the state of the running environment')
+  .action(() => {
+    statusCommand();
+  });
+
+// Comando stop
+program
+  .command('stop')
+  .description('Stop the running environment from any shell')
+  .action(() => {
+    stopCommand();
+  });
+
+// Comando ls
+program
+  .command('ls')
+  .description('List wpsite environments on this machine')
+  .action(() => {
+    lsCommand();
+  });
+
+// Comando logs
+program
+  .command('logs')
+  .description('Show PHP errors, Apache access log and debug.log (merged)')
+  .option('-f, --follow', 'Follow log output')
+  .option('-n, --lines <number>', 'Number of lines to show', '50')
+  .option('--php', 'Only PHP/Apache errors (container stderr)')
+  .option('--access', 'Only the Apache access log (container stdout)')
+  .option('--debug', 'Only wp-content/debug.log')
+  .option('--since <time>', 'Only entries newer than a duration (10m, 2h) or date')
+  .option('--daemon', 'Show the wpsite dev --detach log (.wpsite/dev.log)')
+  .action((options) => {
+    logsCommand(options);
+  });
+
+// Comandos del core de WordPress
+const core = program
+  .command('core')
+  .description('Manage the WordPress core version in ./wordpress');
+
+core
+  .command('update')
+  .description('Install the latest WordPress version and update wpsite.lock.json')
+  .action(() => {
+    coreCommand.update();
+  });
+
+core
+  .command('switch <version>')
+  .description('Switch ./wordpress to a specific WordPress version')
+  .action((version) => {
+    coreCommand.switchVersion(version);
+  });
+
+core
+  .command('version')
+  .description('Show installed, locked and configured WordPress versions')
+  .action(() => {
+    coreCommand.showVersion();
+  });
+
+// Comando wp (WP-CLI dentro del contenedor del proyecto)
+program
+  .command('wp')
+  .argument('[args...]', 'Arguments passed to WP-CLI')
+  .description('Run WP-CLI inside the project container')
+  .allowUnknownOption()
+  .passThroughOptions()
+  .helpOption(false)
+  .action((args) => {
+    containerCommand.wp(args);
+  });
+
+// Comando shell
+program
+  .command('shell')
+  .description('Open an interactive bash shell in the project container (as www-data)')
+  .option('--root', 'Open the shell as root')
+  .action((options) => {
+    containerCommand.shell(options);
+  });
+
+// Comando exec
+program
+  .command('exec')
+  .argument('[command...]', 'Command to run (use -- before it)')
+  .description('Run a one-off command in the project container')
+  .option('--root', 'Run the command as root')
+  .passThroughOptions()
+  .action((command, options) => {
+    containerCommand.exec(command, options);
+  });
+
+// Comandos de la imagen Docker
+const image = program
+  .command('image')
+  .description('Manage the wpsite Docker images');
+
+image
+  .command('build')
+  .description('Build the image for the project PHP version if missing or outdated')
+  .option('--php <version>', 'PHP version to build (default: php.version)')
+  .action((options) => {
+    imageCommand.build(options);
+  });
+
+image
+  .command('rebuild')
+  .description('Force a rebuild of the image for the project PHP version')
+  .option('--php <version>', 'PHP version to build (default: php.version)')
+  .option('--no-cache', 'Do not use the Docker build cache')
+  .action((options) => {
+    imageCommand.rebuild({ php: options.php, noCache: !options.cache });
+  });
+
+image
+  .command('prune')
+  .description('Remove old and outdated wpsite images')
+  .option('--all', 'Remove every wpsite image, including current ones')
+  .action((options) => {
+    imageCommand.prune(options);
+  });
+
+// Comandos de sincronización de wp-content
+const sync = program
+  .command('sync')
+  .description('Manage the wp-content synchronization');
+
+sync
+  .command('conflicts')
+  .description('List and resolve files changed both locally and in the container')
+  .action(() => {
+    syncCommand.conflicts();
+  });
+
+// Comandos de base de datos
+const db = program
+  .command('db')
+  .description('Manage the project database');
+
+db
+  .command('pull')
+  .description('Clone the remote database into the local database container')
+  .option('-p, --port <number>', 'Local port used to rewrite site URLs')
+  .option('--tables <list>', 'Only these tables (comma separated, prefix optional)')
+  .option('--exclude-tables <list>', 'Skip these tables (comma separated, prefix optional)')
+  .action((options) => {
+    dbCommand.pull(options);
+  });
+
+db
+  .command('push')
+  .description('Push the local database to the remote database (dry run by default)')
+  .option('-p, --port <number>', 'Local port used in the local site URLs')
+  .option('--remote-url <url>', 'Remote site URL (defaults to database.remoteUrl or the remote siteurl)')
+  .option('--tables <list>', 'Only these tables (comma separated, prefix optional)')
+  .option('--exclude-tables <list>', 'Skip these tables (comma separated, prefix optional)')
+  .option('--dry-run', 'Only show what would change (default)')
+  .option('--no-dry-run', 'Write to the remote database after confirmation')
+  .action((options) => {
+    dbCommand.push(options);
+  });
+
+const snapshot = db
+  .command('snapshot')
+  .description('Save and restore compressed database snapshots in .wpsite/snapshots');
+
+snapshot
+  .command('save [name]')
+  .description('Save a snapshot of the database wp-config.php points at')
+  .action((name) => {
+    dbCommand.snapshotSave(name);
+  });
+
+snapshot
+  .command('list')
+  .description('List saved snapshots')
+  .action(() => {
+    dbCommand.snapshotList();
+  });
+
+snapshot
+  .command('restore <snapshot>')
+  .description('Restore a snapshot (ID or name) into the database wp-config.php points at')
+  .option('--remote', 'Restore into the remote database from wpsite.config.js (e.g. a pre-push backup)')
+  .option('-y, --yes', 'Skip confirmation when wp-config.php points at a remote database (not with --remote)')
+  .action((reference, options) => {
+    dbCommand.snapshotRestore(reference, options);
+  });
+
+snapshot
+  .command('delete <snapshot>')
+  .description('Delete a snapshot (ID or name)')
+  .action((reference) => {
+    dbCommand.snapshotDelete(reference);
+  });
+
 // Comando de ayuda personalizado
 program
   .addHelpText('after', `
@@ -83,13 +307,34 @@ Examples:
   $ wpsite dev                     Start development server
   $ wpsite dev --port 3000         Use custom port
   $ wpsite dev --tunel             Start with public tunnel
+  $ wpsite dev -t --tunnel-provider cloudflared
+  $ wpsite dev --local-db          Use a local MariaDB container
+  $ wpsite dev --detach            Run in the background
+  $ wpsite dev --php 8.1           Use PHP 8.1 (image wpsite-wordpress:php8.1)
+  $ wpsite dev --xdebug            Enable Xdebug step debugging
+  $ wpsite dev --errors-only       Only show the PHP error panel
+  $ wpsite logs -f                 Follow PHP errors, access log and debug.log
+  $ wpsite logs --php --since 10m  PHP errors from the last 10 minutes
+  $ wpsite status                  Show running environment
+  $ wpsite ls                      List all wpsite environments
+  $ wpsite stop                    Stop the environment
+  $ wpsite core switch 6.4.3       Pin WordPress core version
+  $ wpsite image rebuild           Rebuild the Docker image
+  $ wpsite wp plugin list          Run WP-CLI in the project container
+  $ wpsite shell                   Open a shell in the project container
+  $ wpsite exec -- ls wp-content   Run a one-off command in the container
+  $ wpsite sync conflicts          Resolve wp-content sync conflicts
+  $ wpsite db pull                 Clone remote database locally
+  $ wpsite db push                 Preview pushing the local database
+  $ wpsite db snapshot save before-migration
   $ wpsite doctor                  Check system requirements
 
 Notes:
   • wpsite requires Docker to be installed and running
   • Your wp-content should be cloned from Git repository
   • Database connection is configured in wpsite.config.js
-  • Tunnels require ngrok to be installed and configured
+  • Set database.mode to "local" to run MariaDB in Docker
+  • Tunnels require ngrok (or the provider set in tunnel.provider)
 
 For more information, visit: https://github.com/jesusuzcategui/wpsite-cli
 `);
@@ -100,6 +345,17 @@ program.on('command:*', function (operands) {
   console.log(chalk.yellow('\nComandos disponibles:'));
   console.log(chalk.blue('  wpsite dev      - Iniciar servidor de desarrollo'));
   console.log(chalk.blue('  wpsite init     - Inicializar configuración'));
+  console.log(chalk.blue('  wpsite status   - Estado del entorno'));
+  console.log(chalk.blue('  wpsite stop     - Detener el entorno'));
+  console.log(chalk.blue('  wpsite logs     - Ver logs del entorno'));
+  console.log(chalk.blue('  wpsite ls       - Listar entornos wpsite'));
+  console.log(chalk.blue('  wpsite core     - Gestionar versión de WordPress'));
+  console.log(chalk.blue('  wpsite image    - Gestionar imágenes Docker'));
+  console.log(chalk.blue('  wpsite wp       - Ejecutar WP-CLI en el contenedor'));
+  console.log(chalk.blue('  wpsite shell    - Abrir una terminal en el contenedor'));
+  console.log(chalk.blue('  wpsite exec     - Ejecutar un comando en el contenedor'));
+  console.log(chalk.blue('  wpsite sync     - Resolver conflictos de sincronización'));
+  console.log(chalk.blue('  wpsite db       - Gestionar base de datos'));
   console.log(chalk.blue('  wpsite doctor   - Verificar requisitos'));
   console.log(chalk.yellow('\nUsa "wpsite --help" para más información'));
   process.exit(1);
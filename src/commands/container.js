@@ -0,0 +1,79 @@
+const chalk = require('chalk');
+const ConfigHelper = require('../utils/config-helper');
+const DockerHelper = require('../utils/docker-helper');
+
+const CONTAINER_WORKDIR = '/var/www/html';
+
+// wpsite wp <args>: WP-CLI dentro del contenedor del proyecto
+async function wp(args = []) {
+  const exitCode = await run(['wp', ...args]);
+
+  if (exitCode === 127) {
+    console.error(chalk.yellow('⚠️ WP-CLI no está instalado en la imagen; reconstrúyela con: wpsite image rebuild'));
+  }
+
+  process.exit(exitCode);
+}
+
+// wpsite shell: bash interactivo como www-data (o root con --root)
+async function shell(options = {}) {
+  if (!process.stdin.isTTY) {
+    console.error(chalk.red('❌ wpsite shell necesita una terminal interactiva'));
+    console.log(chalk.yellow('Para comandos sueltos usa: wpsite exec -- <comando>'));
+    process.exit(1);
+  }
+
+  process.exit(await run(['bash'], options));
+}
+
+// wpsite exec -- <cmd>: comando puntual con la salida en directo
+async function exec(command = [], options = {}) {
+  if (command.length === 0) {
+    console.error(chalk.red('❌ Indica el comando a ejecutar: wpsite exec -- ls wp-content/plugins'));
+    process.exit(1);
+  }
+
+  process.exit(await run(command, options));
+}
+
+async function run(command, options = {}) {
+  const container = await findRunningContainer();
+
+  // -t solo con terminal real: con tuberías (wpsite wp db export - > backup.sql) la salida debe ser limpia
+  return DockerHelper.execInContainer(container.id, command, {
+    interactive: true,
+    tty: Boolean(process.stdin.isTTY && process.stdout.isTTY),
+    user: options.root ? 'root' : 'www-data',
+    workdir: CONTAINER_WORKDIR
+  }).catch((error) => {
+    console.error(chalk.red(`❌ Error: ${error.message}`));
+    return 1;
+  });
+}
+
+// Contenedor de WordPress del proyecto actual (por etiquetas, sin pedir ID)
+async function findRunningContainer() {
+  let config = {};
+  try {
+    config = ConfigHelper.load();
+  } catch (error) {
+    // Sin wpsite.config.js: el ID del proyecto se deriva del directorio
+  }
+
+  const project = ConfigHelper.getProjectInfo(config);
+  const container = await DockerHelper.findProjectContainer(project.id);
+
+  if (!container) {
+    console.error(chalk.red(`❌ No hay un entorno wpsite corriendo para ${project.name}`));
+    console.log(chalk.yellow('Inícialo con: wpsite dev'));
+    process.exit(1);
+  }
+
+  return container;
+}
+
+module.exports = {
+  wp,
+  shell,
+  exec
+};
@@ -0,0 +1,73 @@
+const chalk = require('chalk');
+const ConfigHelper = require('../utils/config-helper');
+const WordPressCore = require('../utils/wordpress-core');
+
+// wpsite core update: instalar la última versión de WordPress
+async function update() {
+  await installVersion('latest');
+}
+
+// wpsite core switch <version>: cambiar a una versión concreta
+async function switchVersion(version) {
+  if (!/^\d+\.\d+(\.\d+)?$/.test(version) && version !== 'latest') {
+    console.error(chalk.red(`❌ Versión inválida: ${version} (ejemplo: 6.4.3)`));
+    process.exit(1);
+  }
+
+  await installVersion(version);
+}
+
+// wpsite core version: mostrar versión instalada y fijada
+function showVersion() {
+  const installed = WordPressCore.getInstalledVersion();
+  const lock = WordPressCore.readLock();
+
+  console.log(chalk.blue(`📦 Instalada: ${installed || 'ninguna'}`));
+  console.log(chalk.blue(`🔒 wpsite.lock.json: ${lock && lock.wordpress ? lock.wordpress.version : 'sin registrar'}`));
+
+  const configured = getConfiguredVersion();
+  if (configured) {
+    console.log(chalk.blue(`⚙️  wordpress.version: ${configured}`));
+  }
+}
+
+async function installVersion(version) {
+  const previous = WordPressCore.getInstalledVersion();
+
+  try {
+    const installed = await WordPressCore.install(version);
+
+    if (previous && previous !== installed) {
+      console.log(chalk.blue(`🔄 WordPress ${previous} → ${installed}`));
+    } else if (previous === installed) {
+      console.log(chalk.gray(`   Ya estaba instalada la versión ${installed}`));
+    }
+
+    // Avisar si wpsite.config.js fija otra versión
+    const configured = getConfiguredVersion();
+    if (configured && configured !== 'latest' && configured !== installed) {
+      console.log(chalk.yellow(`\n⚠️ wpsite.config.js fija wordpress.version = "${configured}"`));
+      console.log(chalk.yellow(`   Actualízalo a "${installed}" para que el equipo use la misma versión`));
+    }
+
+    console.log(chalk.blue('💡 Sube wpsite.lock.json a Git para compartir la versión con tu equipo'));
+  } catch (error) {
+    console.error(chalk.red(`❌ Error: ${error.message}`));
+    process.exit(1);
+  }
+}
+
+function getConfiguredVersion() {
+  try {
+    const config = ConfigHelper.load();
+    return config.wordpress && config.wordpress.version;
+  } catch (error) {
+    return null;
+  }
+}
+
+module.exports = {
+  update,
+  switchVersion,
+  showVersion
+};
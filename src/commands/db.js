@@ -0,0 +1,444 @@
+const chalk = require('chalk');
+const ora = require('ora');
+const fs = require('fs');
+const path = require('path');
+const DockerHelper = require('../utils/docker-helper');
+const ConfigHelper = require('../utils/config-helper');
+const DatabaseHelper = require('../utils/database-helper');
+const SearchReplace = require('../utils/search-replace');
+const PromptHelper = require('../utils/prompt-helper');
+const SnapshotHelper = require('../utils/snapshot-helper');
+
+const WORK_DIR = path.join('.wpsite', 'tmp');
+
+// wpsite db pull: clonar la base de datos remota en la base de datos local
+async function pull(options = {}) {
+  const spinner = ora('Preparando copia de la base de datos remota...').start();
+
+  try {
+    const config = ConfigHelper.load();
+    const remote = ConfigHelper.getRemoteDatabaseConfig(config);
+    const local = ConfigHelper.getDatabaseConfig(config, { localDb: true });
+    const port = options.port || (config.server && config.server.port) || 8080;
+    const localUrl = `http://localhost:${port}`;
+
+    if (!remote.host || !remote.name) {
+      throw new Error('Configura database.host y database.name en wpsite.config.js');
+    }
+
+    if (!(await DockerHelper.checkDockerAvailable())) {
+      throw new Error('Docker no está corriendo');
+    }
+
+    // 1. Asegurar que la base de datos local está disponible (ahí corre el cliente)
+    await DatabaseHelper.startLocalDatabase(local, spinner);
+
+    // 2. Seleccionar tablas del remoto
+    spinner.text = 'Obteniendo tablas remotas...';
+    const allTables = await DatabaseHelper.listTables(local.containerName, remote, remote.tablePrefix);
+    if (allTables.length === 0) {
+      throw new Error(`No se encontraron tablas con el prefijo ${remote.tablePrefix}`);
+    }
+
+    const tables = DatabaseHelper.filterTables(allTables, remote.tablePrefix, {
+      include: options.tables,
+      exclude: options.excludeTables
+    });
+    if (tables.length === 0) {
+      throw new Error('Ninguna tabla coincide con los filtros indicados');
+    }
+
+    // 3. Detectar URLs del sitio remoto para reemplazarlas
+    const remoteUrls = await getSiteUrls(local.containerName, remote);
+
+    // 4. Volcar la base de datos remota
+    spinner.text = `Volcando ${tables.length} tablas desde ${remote.host}...`;
+    const containerDump = '/tmp/wpsite-pull.sql';
+    await DatabaseHelper.dumpTables(local.containerName, remote, tables, containerDump);
+
+    // 5. Search-replace seguro para datos serializados
+    fs.mkdirSync(WORK_DIR, { recursive: true });
+    const rawDump = path.join(WORK_DIR, 'pull-remote.sql');
+    const localDump = path.join(WORK_DIR, 'pull-local.sql');
+
+    spinner.text = 'Reemplazando URLs...';
+    await DockerHelper.copyFromContainer(local.containerName, containerDump, rawDump);
+    const replacements = await SearchReplace.replaceInSqlFile(
+      rawDump,
+      localDump,
+      buildUrlPairs(remoteUrls, localUrl)
+    );
+
+    // 6. Importar en la base de datos local
+    spinner.text = `Importando en ${local.containerName}...`;
+    await DockerHelper.copyToContainer(local.containerName, localDump, containerDump);
+    await DatabaseHelper.importFile(
+      local.containerName,
+      DatabaseHelper.getLocalRootConnection(local),
+      containerDump
+    );
+
+    // 7. Limpiar temporales
+    await DockerHelper.execInContainer(local.containerName, `rm -f ${containerDump}`);
+    fs.rmSync(rawDump, { force: true });
+    fs.rmSync(localDump, { force: true });
+
+    spinner.succeed(`Base de datos remota clonada en ${chalk.green(local.containerName)}`);
+    console.log(chalk.blue(`📋 Tablas importadas: ${tables.length}`));
+    if (remoteUrls.length > 0) {
+      console.log(chalk.blue(`🔗 URLs reemplazadas: ${remoteUrls.join(', ')} → ${localUrl}`));
+    }
+    console.log(chalk.blue(`✏️  Reemplazos realizados: ${replacements}`));
+
+    if (ConfigHelper.getDatabaseConfig(config).mode !== 'local') {
+      console.log(chalk.yellow('\n💡 Tu configuración usa la base de datos remota.'));
+      console.log(chalk.yellow('   Ejecuta "wpsite dev --local-db" o usa database.mode = "local"'));
+    }
+  } catch (error) {
+    spinner.fail(`❌ Error: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+// wpsite db push: subir la base de datos local al servidor remoto
+async function push(options = {}) {
+  const spinner = ora('Preparando envío de la base de datos local...').start();
+  const dryRun = options.dryRun !== false;
+  const containerLocalDump = '/tmp/wpsite-push-local.sql';
+  const containerRemoteDump = '/tmp/wpsite-push-remote.sql';
+  const localDump = path.join(WORK_DIR, 'push-local.sql');
+  const pushDump = path.join(WORK_DIR, 'push-remote.sql');
+  const remoteDump = path.join(WORK_DIR, 'push-remote-current.sql');
+  let local = null;
+
+  try {
+    const config = ConfigHelper.load();
+    const remote = ConfigHelper.getRemoteDatabaseConfig(config);
+    local = ConfigHelper.getDatabaseConfig(config, { localDb: true });
+    const localRoot = Object.assign(DatabaseHelper.getLocalRootConnection(local), {
+      tablePrefix: local.tablePrefix
+    });
+    const port = options.port || (config.server && config.server.port) || 8080;
+
+    if (!remote.host || !remote.name) {
+      throw new Error('Configura database.host y database.name en wpsite.config.js');
+    }
+
+    if (!(await DockerHelper.checkDockerAvailable())) {
+      throw new Error('Docker no está corriendo');
+    }
+
+    await DatabaseHelper.startLocalDatabase(local, spinner);
+
+    // 1. Seleccionar tablas locales
+    spinner.text = 'Obteniendo tablas locales...';
+    const allTables = await DatabaseHelper.listTables(local.containerName, localRoot, local.tablePrefix);
+    if (allTables.length === 0) {
+      throw new Error(`La base de datos local no tiene tablas con el prefijo ${local.tablePrefix}`);
+    }
+
+    const tables = DatabaseHelper.filterTables(allTables, local.tablePrefix, {
+      include: options.tables,
+      exclude: options.excludeTables
+    });
+    if (tables.length === 0) {
+      throw new Error('Ninguna tabla coincide con los filtros indicados');
+    }
+
+    // 2. Resolver URLs: local -> remota
+    const remoteUrl = (
+      options.remoteUrl ||
+      config.database.remoteUrl ||
+      (await getSiteUrls(local.containerName, remote))[0] ||
+      ''
+    ).replace(/\/+$/, '');
+
+    if (!remoteUrl) {
+      throw new Error('No se pudo determinar la URL remota. Usa --remote-url o database.remoteUrl');
+    }
+
+    const localUrls = await getSiteUrls(local.containerName, localRoot);
+    const pairs = [...new Set([...localUrls, `http://localhost:${port}`])]
+      .map(url => ({ search: url, replace: remoteUrl }));
+
+    // 3. Exportar la base local con URLs remotas
+    spinner.text = `Exportando ${tables.length} tablas locales...`;
+    fs.mkdirSync(WORK_DIR, { recursive: true });
+    await DatabaseHelper.dumpTables(local.containerName, localRoot, tables, containerLocalDump);
+    await DockerHelper.copyFromContainer(local.containerName, containerLocalDump, localDump);
+
+    spinner.text = 'Reemplazando URLs...';
+    const replacements = await SearchReplace.replaceInSqlFile(localDump, pushDump, pairs);
+
+    // 4. Volcar el estado actual del remoto para comparar
+    spinner.text = `Leyendo estado actual de ${remote.host}...`;
+    const remoteTables = await DatabaseHelper.listTables(local.containerName, remote, remote.tablePrefix);
+    const existingTables = tables.filter(table => remoteTables.includes(table));
+    await DatabaseHelper.dumpTables(local.containerName, remote, remoteTables, containerRemoteDump);
+    await DockerHelper.copyFromContainer(local.containerName, containerRemoteDump, remoteDump);
+
+    // 5. Calcular diferencias por tabla
+    spinner.text = 'Calculando diferencias...';
+    const [localCounts, remoteCounts, pushHashes, remoteHashes] = await Promise.all([
+      DatabaseHelper.countRows(local.containerName, localRoot, tables),
+      DatabaseHelper.countRows(local.containerName, remote, existingTables),
+      DatabaseHelper.hashDumpTables(pushDump),
+      DatabaseHelper.hashDumpTables(remoteDump)
+    ]);
+
+    spinner.stop();
+    const changedTables = showPushDiff(tables, localCounts, remoteCounts, pushHashes, remoteHashes);
+
+    console.log(chalk.blue(`\n🔗 URLs: ${pairs.map(pair => pair.search).join(', ')} → ${remoteUrl}`));
+    console.log(chalk.blue(`✏️  Reemplazos: ${replacements}`));
+
+    if (changedTables === 0) {
+      console.log(chalk.green('\n✅ La base de datos remota ya está al día, no hay nada que enviar'));
+      return;
+    }
+
+    if (dryRun) {
+      console.log(chalk.yellow('\n🔍 Dry run: no se modificó la base de datos remota'));
+      console.log(chalk.blue('   Para aplicar los cambios: wpsite db push --no-dry-run'));
+      return;
+    }
+
+    // 6. Confirmación explícita
+    console.log(chalk.red(`\n⚠️  Vas a sobrescribir ${changedTables} tablas en ${remote.name}@${remote.host}`));
+    const confirmed = await PromptHelper.confirmByTyping(
+      chalk.yellow(`Escribe el nombre de la base de datos (${remote.name}) para confirmar: `),
+      remote.name
+    );
+
+    if (!confirmed) {
+      console.log(chalk.yellow('❌ Operación cancelada'));
+      return;
+    }
+
+    // 7. Backup del remoto justo antes de escribir (incluye lo que cambió mientras se confirmaba)
+    spinner.start('Guardando backup de la base de datos remota...');
+    const backupTables = await DatabaseHelper.listTables(local.containerName, remote, remote.tablePrefix);
+    await DatabaseHelper.dumpTables(local.containerName, remote, backupTables, containerRemoteDump);
+    await DockerHelper.copyFromContainer(local.containerName, containerRemoteDump, remoteDump);
+    const backup = await SnapshotHelper.saveFromDump(remoteDump, `${remote.name}-pre-push`, {
+      database: remote.name,
+      host: remote.host,
+      tablePrefix: remote.tablePrefix,
+      tables: backupTables
+    });
+    console.log(chalk.blue(`\n💾 Backup guardado: ${backup.id}`));
+    console.log(chalk.gray(`   Para revertir el remoto: wpsite db snapshot restore ${backup.id} --remote`));
+
+    // 8. Importar en el remoto
+    spinner.text = `Importando en ${remote.name}@${remote.host}...`;
+    await DockerHelper.copyToContainer(local.containerName, pushDump, containerLocalDump);
+    await DatabaseHelper.importFile(local.containerName, remote, containerLocalDump);
+
+    spinner.succeed(`Base de datos enviada a ${chalk.green(`${remote.name}@${remote.host}`)}`);
+  } catch (error) {
+    spinner.fail(`❌ Error: ${error.message}`);
+    process.exitCode = 1;
+  } finally {
+    if (local) {
+      await DockerHelper.execInContainer(
+        local.containerName,
+        `rm -f ${containerLocalDump} ${containerRemoteDump}`
+      ).catch(() => {});
+    }
+    [localDump, pushDump, remoteDump].forEach(file => fs.rmSync(file, { force: true }));
+  }
+}
+
+// Mostrar tablas y filas que cambiarían en el remoto
+function showPushDiff(tables, localCounts, remoteCounts, pushHashes, remoteHashes) {
+  let changed = 0;
+
+  console.log(chalk.blue('\n📋 Cambios en la base de datos remota:'));
+  console.log(chalk.gray(`   ${'Tabla'.padEnd(32)} ${'Local'.padStart(10)} ${'Remota'.padStart(10)}  Estado`));
+
+  tables.forEach((table) => {
+    const localRows = localCounts.get(table) || 0;
+    const hasRemote = remoteCounts.has(table);
+    const remoteRows = hasRemote ? remoteCounts.get(table) : '-';
+
+    let status;
+    if (!hasRemote) {
+      status = chalk.green('nueva');
+      changed++;
+    } else if (pushHashes.get(table) !== remoteHashes.get(table)) {
+      const delta = localRows - remoteRows;
+      status = chalk.yellow(`cambia (${delta >= 0 ? '+' : ''}${delta} filas)`);
+      changed++;
+    } else {
+      status = chalk.gray('sin cambios');
+    }
+
+    console.log(`   ${table.padEnd(32)} ${String(localRows).padStart(10)} ${String(remoteRows).padStart(10)}  ${status}`);
+  });
+
+  return changed;
+}
+
+// wpsite db snapshot save: guardar la base de datos actual
+async function snapshotSave(name) {
+  const spinner = ora('Preparando snapshot...').start();
+
+  try {
+    const target = await resolveCurrentDatabase(spinner);
+
+    spinner.text = `Guardando snapshot de ${target.label}...`;
+    const snapshot = await SnapshotHelper.save(target.containerName, target.connection, name);
+
+    spinner.succeed(`Snapshot guardado: ${chalk.green(snapshot.id)}`);
+    console.log(chalk.blue(`📦 ${SnapshotHelper.formatSize(snapshot.size)} · ${snapshot.tableCount} tablas · ${target.label}`));
+  } catch (error) {
+    spinner.fail(`❌ Error: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+// wpsite db snapshot list: mostrar snapshots guardados
+async function snapshotList() {
+  const snapshots = await SnapshotHelper.list();
+
+  if (snapshots.length === 0) {
+    console.log(chalk.yellow('📭 No hay snapshots guardados'));
+    console.log(chalk.blue('   Crea uno con: wpsite db snapshot save <nombre>'));
+    return;
+  }
+
+  console.log(chalk.blue(`📦 Snapshots en ${path.relative(process.cwd(), SnapshotHelper.getSnapshotsDir())}:\n`));
+  console.log(chalk.gray(`   ${'ID'.padEnd(44)} ${'Fecha'.padEnd(19)} ${'Tamaño'.padStart(9)} ${'Tablas'.padStart(7)}`));
+
+  snapshots.forEach((snapshot) => {
+    const date = snapshot.createdAt.toISOString().replace('T', ' ').slice(0, 19);
+    console.log(
+      `   ${chalk.green(snapshot.id.padEnd(44))} ${date} ${SnapshotHelper.formatSize(snapshot.size).padStart(9)} ${String(snapshot.tableCount).padStart(7)}`
+    );
+  });
+}
+
+// wpsite db snapshot restore: recargar un snapshot en la base de datos actual (o en la remota con --remote)
+async function snapshotRestore(reference, options = {}) {
+  const spinner = ora('Buscando snapshot...').start();
+
+  try {
+    const snapshot = await SnapshotHelper.find(reference);
+    const target = await resolveCurrentDatabase(spinner, { remote: options.remote });
+
+    // Restaurar sobre una base de datos que no es la local requiere confirmación
+    // (con --remote siempre hay que escribir el nombre, aunque se indique --yes)
+    if (!target.isLocal && (!options.yes || options.remote)) {
+      spinner.stop();
+      console.log(chalk.red(`⚠️  Vas a sobrescribir ${target.label} con ${snapshot.id}`));
+      const confirmed = await PromptHelper.confirmByTyping(
+        chalk.yellow(`Escribe el nombre de la base de datos (${target.connection.name}) para confirmar: `),
+        target.connection.name
+      );
+
+      if (!confirmed) {
+        console.log(chalk.yellow('❌ Operación cancelada'));
+        return;
+      }
+      spinner.start();
+    }
+
+    spinner.text = `Restaurando ${snapshot.id} en ${target.label}...`;
+    await SnapshotHelper.restore(snapshot, target.containerName, target.connection);
+
+    spinner.succeed(`Snapshot ${chalk.green(snapshot.id)} restaurado en ${target.label}`);
+  } catch (error) {
+    spinner.fail(`❌ Error: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+// wpsite db snapshot delete: eliminar un snapshot
+async function snapshotDelete(reference) {
+  try {
+    const snapshot = await SnapshotHelper.find(reference);
+    SnapshotHelper.remove(snapshot);
+    console.log(chalk.green(`🗑️  Snapshot eliminado: ${snapshot.id}`));
+  } catch (error) {
+    console.error(chalk.red(`❌ Error: ${error.message}`));
+    process.exit(1);
+  }
+}
+
+// Resolver la base de datos a la que apunta wp-config.php (o la remota de wpsite.config.js) y el contenedor cliente
+async function resolveCurrentDatabase(spinner, options = {}) {
+  const config = ConfigHelper.load();
+  const local = ConfigHelper.getDatabaseConfig(config, { localDb: true });
+  const current = options.remote
+    ? ConfigHelper.getRemoteDatabaseConfig(config)
+    : ConfigHelper.getWordPressDatabaseConfig() || ConfigHelper.getDatabaseConfig(config);
+
+  if (!current.host || !current.name) {
+    throw new Error(options.remote
+      ? 'Configura database.host y database.name en wpsite.config.js'
+      : 'No se pudo determinar la base de datos de wp-config.php');
+  }
+
+  if (!(await DockerHelper.checkDockerAvailable())) {
+    throw new Error('Docker no está corriendo');
+  }
+
+  // El contenedor MariaDB local aporta el cliente mysql (nada se instala en el host)
+  await DatabaseHelper.startLocalDatabase(local, spinner);
+
+  const isLocal = current.host === local.containerName;
+  const connection = isLocal
+    ? Object.assign(DatabaseHelper.getLocalRootConnection(local), {
+      name: current.name,
+      tablePrefix: current.tablePrefix
+    })
+    : current;
+
+  return {
+    containerName: local.containerName,
+    connection,
+    isLocal,
+    label: isLocal ? `${current.name} (local)` : `${current.name}@${current.host}`
+  };
+}
+
+// Leer siteurl y home de la tabla de opciones
+async function getSiteUrls(containerName, connection) {
+  const optionsTable = `${connection.tablePrefix}options`;
+  const rows = await DatabaseHelper.query(
+    containerName,
+    connection,
+    `SELECT option_value FROM \`${optionsTable}\` WHERE option_name IN ('siteurl', 'home')`
+  );
+
+  const urls = rows
+    .map(row => (row[0] || '').trim().replace(/\/+$/, ''))
+    .filter(Boolean);
+
+  return [...new Set(urls)];
+}
+
+// Generar pares de reemplazo (incluye la variante http/https del dominio)
+function buildUrlPairs(urls, targetUrl) {
+  const pairs = [];
+
+  urls.forEach((url) => {
+    pairs.push({ search: url, replace: targetUrl });
+
+    const alternate = url.startsWith('https://')
+      ? url.replace(/^https:/, 'http:')
+      : url.replace(/^http:/, 'https:');
+    pairs.push({ search: alternate, replace: targetUrl });
+  });
+
+  return pairs;
+}
+
+module.exports = {
+  pull,
+  push,
+  snapshotSave,
+  snapshotList,
+  snapshotRestore,
+  snapshotDelete
+};
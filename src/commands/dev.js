@@ -1,1091 +1,1745 @@
-const { spawn, exec } = require("child_process");
-const chalk = require("chalk");
-const ora = require("ora");
-const fs = require("fs");
-const path = require("path");
-const crypto = require("crypto");
-const https = require("https");
-const DockerHelper = require("../utils/docker-helper");
-
-// Clase para gestionar sincronización inteligente
-class SyncManager {
-  constructor(sourcePath, targetPath) {
-    this.sourcePath = sourcePath;
-    this.targetPath = targetPath;
-    this.fileHashes = new Map(); // archivo -> hash
-    this.syncingFiles = new Set(); // archivos en proceso
-    this.pendingOperations = new Map(); // archivo -> timeout
-    this.lastSyncTime = new Map(); // archivo -> timestamp
-    this.recentlySynced = new Set(); // archivos sincronizados recientemente
-  }
-
-  // Calcular hash del archivo
-  getFileHash(filePath) {
-    try {
-      if (!fs.existsSync(filePath)) return null;
-      const content = fs.readFileSync(filePath);
-      return crypto.createHash("md5").update(content).digest("hex");
-    } catch (error) {
-      return null;
-    }
-  }
-
-  // Verificar si realmente cambió
-  hasFileChanged(filePath) {
-    const currentHash = this.getFileHash(filePath);
-    const storedHash = this.fileHashes.get(filePath);
-    return currentHash !== storedHash && currentHash !== null;
-  }
-
-  // Marcar archivo como sincronizándose
-  lockFile(filePath) {
-    this.syncingFiles.add(filePath);
-    this.recentlySynced.add(filePath);
-    
-    // Auto-unlock después de 10 segundos como seguridad
-    setTimeout(() => {
-      this.unlockFile(filePath);
-    }, 10000);
-  }
-
-  // Liberar archivo
-  unlockFile(filePath) {
-    this.syncingFiles.delete(filePath);
-    
-    // Mantener en recentlySynced por más tiempo para evitar loops
-    setTimeout(() => {
-      this.recentlySynced.delete(filePath);
-    }, 5000);
-  }
-
-  // Verificar si está siendo sincronizado o fue sincronizado recientemente
-  isFileLocked(filePath) {
-    return this.syncingFiles.has(filePath) || this.recentlySynced.has(filePath);
-  }
-
-  // Actualizar hash después de sincronización para ambos archivos
-  updateFileHash(filePath) {
-    const hash = this.getFileHash(filePath);
-    if (hash) {
-      this.fileHashes.set(filePath, hash);
-      this.lastSyncTime.set(filePath, Date.now());
-    }
-  }
-
-  // Actualizar hashes para archivos relacionados (origen y destino)
-  updateRelatedHashes(sourcePath, targetPath) {
-    const sourceHash = this.getFileHash(sourcePath);
-    const targetHash = this.getFileHash(targetPath);
-    
-    if (sourceHash && targetHash && sourceHash === targetHash) {
-      this.fileHashes.set(sourcePath, sourceHash);
-      this.fileHashes.set(targetPath, targetHash);
-      this.lastSyncTime.set(sourcePath, Date.now());
-      this.lastSyncTime.set(targetPath, Date.now());
-    }
-  }
-
-  // Verificar si el archivo fue modificado recientemente
-  wasRecentlyModified(filePath, thresholdMs = 3000) {
-    const lastSync = this.lastSyncTime.get(filePath);
-    return lastSync && (Date.now() - lastSync < thresholdMs);
-  }
-
-  // Limpiar operaciones pendientes
-  cleanup() {
-    this.pendingOperations.forEach((timeout) => clearTimeout(timeout));
-    this.pendingOperations.clear();
-    this.syncingFiles.clear();
-    this.recentlySynced.clear();
-  }
-}
-
-module.exports = async (options = {}) => {
-  const spinner = ora("Iniciando WordPress...").start();
-  const port = options.port || 8080;
-  const useTunnel = options.tunel || options.tunnel;
-
-  let ngrokTunnel = null;
-
-  try {
-    // 1. Verificar Docker (única dependencia)
-    await checkDockerRequirement(spinner);
-
-    // 2. Verificar wp-content
-    if (!fs.existsSync("./wp-content")) {
-      spinner.fail("❌ No se encontró wp-content/");
-      console.log(
-        chalk.yellow(
-          "Asegúrate de estar en un directorio con wp-content/ clonado desde GitHub"
-        )
-      );
-      console.log(chalk.blue("Ejemplo:"));
-      console.log(chalk.blue("  git clone tu-repo.git ."));
-      console.log(chalk.blue("  wpsite dev"));
-      return;
-    }
-
-    // 3. Verificar configuración
-    if (!fs.existsSync("./wpsite.config.js")) {
-      spinner.fail("❌ No se encontró wpsite.config.js");
-      console.log(chalk.yellow("Ejecuta: wpsite init"));
-      return;
-    }
-
-    // 4. Limpiar contenedores existentes de wpsite
-    await cleanupAllWPSiteContainers(spinner);
-
-    // 5. Verificar que el puerto esté disponible
-    const isPortAvailable = await DockerHelper.checkPortAvailable(port);
-    if (!isPortAvailable) {
-      spinner.fail(`❌ El puerto ${port} ya está en uso`);
-      console.log(
-        chalk.yellow(
-          `Prueba con otro puerto: wpsite dev --port ${parseInt(port) + 1}`
-        )
-      );
-      return;
-    }
-
-    // 6. Preparar WordPress y configuración
-    await prepareWordPressWithDocker(spinner, port);
-
-    // 7. Iniciar contenedor Docker
-    const containerId = await startDockerContainer(spinner, port);
-
-    // 8. Esperar a que WordPress esté listo
-    await waitForWordPress(spinner, port);
-
-    // 9. Iniciar túnel ngrok si se solicita
-    if (useTunnel) {
-      try {
-        ngrokTunnel = await startNgrokTunnel(port, spinner);
-      } catch (error) {
-        console.log(
-          chalk.yellow(`⚠️ No se pudo iniciar túnel: ${error.message}`)
-        );
-        console.log(chalk.blue("   Continuando sin túnel..."));
-      }
-    }
-
-    // 10. Mostrar información
-    spinner.succeed(
-      `🚀 WordPress corriendo en ${chalk.green(`http://localhost:${port}`)}`
-    );
-    console.log(chalk.blue("🐳 Servidor: Docker (wpsite-wordpress:latest)"));
-    console.log(chalk.blue("📁 wp-content: Local (desde GitHub)"));
-    console.log(chalk.blue("🗃️ Base de datos: Remota"));
-    console.log(
-      chalk.magenta(`📋 Container ID: ${containerId.substring(0, 12)}`)
-    );
-
-    if (ngrokTunnel && ngrokTunnel.url) {
-      console.log(chalk.magenta(`🌍 Túnel público: ${ngrokTunnel.url}`));
-      console.log(
-        chalk.yellow("💡 Comparte esta URL con otros desarrolladores")
-      );
-    }
-
-    console.log(chalk.yellow("\n✨ Presiona Ctrl+C para detener\n"));
-
-    // 11. Cleanup al cerrar
-    process.on("SIGINT", async () => {
-      console.log(chalk.red("\n🛑 Deteniendo servicios..."));
-
-      // Cerrar watchers si existen
-      if (global.wpContentSyncManager) {
-        global.wpContentSyncManager.cleanup();
-        if (global.wpContentWatcher) {
-          global.wpContentWatcher.close();
-        }
-        console.log(chalk.yellow("📂 Sincronización de archivos detenida"));
-      }
-
-      // Detener túnel primero
-      if (ngrokTunnel && ngrokTunnel.process) {
-        await stopNgrokTunnel(ngrokTunnel.process);
-      }
-
-      // Luego detener contenedor
-      await stopDockerContainer(containerId);
-      console.log(chalk.green("✅ Servicios detenidos correctamente"));
-      process.exit(0);
-    });
-
-    // 12. Mantener el proceso vivo
-    process.stdin.resume();
-  } catch (error) {
-    spinner.fail(`❌ Error: ${error.message}`);
-    process.exit(1);
-  }
-};
-
-// Verificar que Docker esté disponible
-async function checkDockerRequirement(spinner) {
-  spinner.text = "Verificando Docker...";
-
-  return new Promise((resolve, reject) => {
-    exec("docker --version", (error, stdout) => {
-      if (error) {
-        spinner.fail("❌ Docker no está instalado");
-        console.log(
-          chalk.yellow("\n📦 wpsite requiere Docker para funcionar:")
-        );
-        console.log(
-          chalk.blue(
-            "   Windows: https://docs.docker.com/desktop/windows/install/"
-          )
-        );
-        console.log(
-          chalk.blue("   Mac: https://docs.docker.com/desktop/mac/install/")
-        );
-        console.log(
-          chalk.blue("   Linux: https://docs.docker.com/engine/install/")
-        );
-        console.log(
-          chalk.yellow(
-            "\n🔄 Después de instalar Docker, reinicia y vuelve a intentar"
-          )
-        );
-        reject(new Error("Docker no encontrado"));
-        return;
-      }
-
-      // Verificar que Docker esté corriendo
-      exec("docker info", (infoError) => {
-        if (infoError) {
-          spinner.fail("❌ Docker no está corriendo");
-          console.log(
-            chalk.yellow("\n🔄 Inicia Docker Desktop y vuelve a intentar")
-          );
-          reject(new Error("Docker no está corriendo"));
-          return;
-        }
-
-        const version = stdout.trim().replace("Docker version ", "");
-        spinner.text = `Docker encontrado: ${version}`;
-        resolve();
-      });
-    });
-  });
-}
-
-// Limpiar todos los contenedores wpsite existentes
-async function cleanupAllWPSiteContainers(spinner) {
-  spinner.text = "Limpiando contenedores anteriores...";
-
-  return new Promise((resolve) => {
-    exec('docker ps -aq --filter "name=wpsite-dev"', (error, stdout) => {
-      if (error || !stdout.trim()) {
-        resolve();
-        return;
-      }
-
-      const containerIds = stdout
-        .trim()
-        .split("\n")
-        .filter((id) => id);
-
-      if (containerIds.length > 0) {
-        console.log(
-          chalk.yellow(
-            `🧹 Encontrados ${containerIds.length} contenedores wpsite, limpiando...`
-          )
-        );
-
-        const cleanupCmd = spawn("docker", ["rm", "-f", ...containerIds], {
-          stdio: "pipe",
-        });
-        cleanupCmd.on("close", () => {
-          console.log(chalk.green("✅ Contenedores anteriores limpiados"));
-          resolve();
-        });
-      } else {
-        resolve();
-      }
-    });
-  });
-}
-
-// Preparar WordPress usando contenedor temporal
-async function prepareWordPressWithDocker(spinner, port) {
-  if (!fs.existsSync("./wordpress")) {
-    spinner.stop();
-    console.log(chalk.yellow("📦 WordPress no encontrado, descargando..."));
-    await downloadWordPressWithNodeJS();
-    spinner.start();
-  } else {
-    spinner.text = "WordPress ya existe, saltando descarga...";
-  }
-
-  spinner.text = "Creando configuración...";
-  await createWordPressConfig(port, null);
-
-  spinner.text = "Configurando wp-content...";
-  await setupCustomContent();
-}
-
-// Descargar WordPress con Node.js (más confiable y con progreso)
-async function downloadWordPressWithNodeJS() {
-  const AdmZip = require("adm-zip");
-
-  return new Promise((resolve, reject) => {
-    console.log(chalk.blue("📥 Descargando WordPress..."));
-
-    const file = fs.createWriteStream("./wordpress.zip");
-    const request = https.get(
-      "https://wordpress.org/latest.zip",
-      (response) => {
-        const totalSize = parseInt(response.headers["content-length"], 10);
-        let downloadedSize = 0;
-        let lastPercent = 0;
-
-        response.on("data", (chunk) => {
-          downloadedSize += chunk.length;
-          const percentage = Math.floor((downloadedSize / totalSize) * 100);
-
-          if (percentage >= lastPercent + 5) {
-            lastPercent = percentage;
-            process.stdout.write(`\r📦 Descargando WordPress: ${percentage}%`);
-          }
-        });
-
-        response.pipe(file);
-
-        file.on("finish", () => {
-          file.close();
-          console.log(chalk.green("\n✅ Descarga completada"));
-          console.log(chalk.blue("📂 Extrayendo archivos..."));
-
-          try {
-            const zip = new AdmZip("./wordpress.zip");
-            zip.extractAllTo("./", true);
-
-            console.log(chalk.green("\n✅ Extracción completada"));
-            console.log(chalk.blue("🧹 Limpiando archivos temporales..."));
-            fs.unlinkSync("./wordpress.zip");
-
-            if (fs.existsSync("./wordpress/wp-config-sample.php")) {
-              console.log(chalk.green("✅ WordPress extraído correctamente"));
-              resolve();
-            } else {
-              reject(new Error("WordPress no se extrajo correctamente"));
-            }
-          } catch (error) {
-            reject(new Error(`Error extrayendo WordPress: ${error.message}`));
-          }
-        });
-      }
-    );
-
-    request.on("error", (error) => {
-      reject(new Error(`Error descargando WordPress: ${error.message}`));
-    });
-
-    request.setTimeout(600000, () => {
-      request.destroy();
-      reject(new Error("Timeout descargando WordPress"));
-    });
-  });
-}
-
-// Crear configuración de WordPress con URLs fijas para evitar problemas de sesión
-async function createWordPressConfig(port, ngrokUrl = null) {
-  const configPath = path.join(process.cwd(), "wpsite.config.js");
-
-  if (!fs.existsSync(configPath)) {
-    throw new Error("wpsite.config.js no encontrado");
-  }
-
-  delete require.cache[require.resolve(configPath)];
-  const config = require(configPath);
-
-  const primaryUrl = ngrokUrl || `http://localhost:${port}`;
-
-  const wpConfig = `<?php
-/**
- * WordPress Configuration - URLs fijas para evitar problemas de sesión
- */
-
-// === CONFIGURACIÓN DE BASE DE DATOS ===
-define('DB_NAME', '${config.database.name}');
-define('DB_USER', '${config.database.user}');
-define('DB_PASSWORD', '${config.database.password}');
-define('DB_HOST', '${config.database.host}');
-define('DB_CHARSET', 'utf8mb4');
-define('DB_COLLATE', '');
-
-// === URLs FIJAS ===
-define('WP_HOME', '${primaryUrl}');
-define('WP_SITEURL', '${primaryUrl}');
-
-// === CONFIGURACIÓN PARA TÚNELES ===
-${
-  ngrokUrl
-    ? `
-// Headers para ngrok
-if (isset($_SERVER['HTTP_X_FORWARDED_PROTO']) && $_SERVER['HTTP_X_FORWARDED_PROTO'] === 'https') {
-    $_SERVER['HTTPS'] = 'on';
-}
-
-// Forzar cookies para ngrok
-define('COOKIE_DOMAIN', '');
-define('COOKIEPATH', '/');
-define('SITECOOKIEPATH', '/');
-define('ADMIN_COOKIE_PATH', '/');
-define('PLUGINS_COOKIE_PATH', '/');
-
-// Configuración de sesión para ngrok
-ini_set('session.cookie_secure', false);
-ini_set('session.cookie_samesite', 'Lax');
-`
-    : `
-// Configuración para localhost
-define('COOKIE_DOMAIN', '');
-define('COOKIEPATH', '/');
-define('SITECOOKIEPATH', '/');
-`
-}
-
-// === DESACTIVAR VALIDACIONES ESTRICTAS ===
-define('RELOCATE', true);
-
-// === CONFIGURACIÓN DE SESIONES ===
-ini_set('session.cookie_httponly', 1);
-ini_set('session.use_only_cookies', 1);
-ini_set('session.cookie_lifetime', 0);
-ini_set('session.gc_maxlifetime', 3600);
-
-// === CONFIGURACIÓN DE DEBUG ===
-define('WP_DEBUG', true);
-define('WP_DEBUG_LOG', true);
-define('WP_DEBUG_DISPLAY', false);
-define('SCRIPT_DEBUG', true);
-
-// === CONFIGURACIÓN ADICIONAL ===
-define('WP_AUTO_UPDATE_CORE', false);
-define('DISALLOW_FILE_EDIT', true);
-define('WP_POST_REVISIONS', 3);
-define('AUTOMATIC_UPDATER_DISABLED', true);
-define('WP_MEMORY_LIMIT', '256M');
-
-// === CLAVES DE SEGURIDAD FIJAS ===
-define('AUTH_KEY',         'wpsite-dev-auth-key-12345');
-define('SECURE_AUTH_KEY',  'wpsite-dev-secure-auth-key-12345');
-define('LOGGED_IN_KEY',    'wpsite-dev-logged-in-key-12345');
-define('NONCE_KEY',        'wpsite-dev-nonce-key-12345');
-define('AUTH_SALT',        'wpsite-dev-auth-salt-12345');
-define('SECURE_AUTH_SALT', 'wpsite-dev-secure-auth-salt-12345');
-define('LOGGED_IN_SALT',   'wpsite-dev-logged-in-salt-12345');
-define('NONCE_SALT',       'wpsite-dev-nonce-salt-12345');
-
-\$table_prefix = '${config.database.tablePrefix || "wp_"}';
-
-if (!defined('ABSPATH')) {
-    define('ABSPATH', dirname(__FILE__) . '/');
-}
-
-require_once ABSPATH . 'wp-settings.php';
-`;
-
-  const wpConfigPath = "./wordpress/wp-config.php";
-  if (fs.existsSync(wpConfigPath)) {
-    fs.unlinkSync(wpConfigPath);
-  }
-
-  fs.writeFileSync(wpConfigPath, wpConfig);
-}
-
-// Configurar wp-content con sincronización inteligente CORREGIDA
-async function setupCustomContent() {
-  const wpContentPath = "./wordpress/wp-content";
-  const sourceContentPath = "./wp-content";
-
-  console.log(chalk.blue("🔗 Configurando wp-content personalizado..."));
-
-  if (fs.existsSync(wpContentPath)) {
-    const backupPath = "./wordpress/wp-content-original";
-    if (!fs.existsSync(backupPath)) {
-      console.log(
-        chalk.yellow("💾 Haciendo backup del wp-content original...")
-      );
-      fs.renameSync(wpContentPath, backupPath);
-    } else {
-      fs.rmSync(wpContentPath, { recursive: true, force: true });
-    }
-  }
-
-  console.log(chalk.blue("📁 Copiando wp-content..."));
-  fs.cpSync(sourceContentPath, wpContentPath, { recursive: true });
-
-  // Configurar sincronización inteligente CORREGIDA
-  const { watcher, syncManager } = setupUnifiedWatcher(
-    path.resolve(process.cwd(), "wp-content"), // Ruta absoluta completa
-    path.resolve(process.cwd(), "wordpress/wp-content") // Ruta absoluta completa
-  );
-
-  // Guardar referencias globales para cleanup
-  global.wpContentWatcher = watcher;
-  global.wpContentSyncManager = syncManager;
-
-  if (fs.existsSync(wpContentPath + "/themes")) {
-    console.log(chalk.green("✅ wp-content configurado correctamente"));
-    console.log(chalk.blue("👀 Sincronización inteligente activada"));
-  } else {
-    throw new Error("wp-content no se configuró correctamente");
-  }
-}
-
-// Sistema de sincronización unificado e inteligente CORREGIDO
-function setupUnifiedWatcher(sourcePath, targetPath) {
-  const chokidar = require("chokidar");
-  const syncManager = new SyncManager(sourcePath, targetPath);
-
-  // Inicializar hashes de archivos existentes
-  initializeFileHashes(syncManager);
-
-  const watcher = chokidar.watch([sourcePath, targetPath], {
-    ignored: [
-      /node_modules/,
-      /wp-content-original/,
-      /wp-content-backup/,
-      /\.git/,
-      /\.DS_Store/,
-    ],
-    persistent: true,
-    ignoreInitial: true,
-    awaitWriteFinish: {
-      stabilityThreshold: 1000,  // Esperar 1 segundo de estabilidad
-      pollInterval: 100
-    },
-  });
-
-  watcher.on("change", (filePath) => {
-    handleFileChange(filePath, syncManager);
-  });
-
-  watcher.on("add", (filePath) => {
-    handleFileChange(filePath, syncManager);
-  });
-
-  return { watcher, syncManager };
-}
-
-// Manejar cambios de archivos CORREGIDO
-function handleFileChange(filePath, syncManager) {
-  // Normalizar path para comparación
-  const normalizedPath = path.resolve(filePath);
-  
-  // Evitar loops: si el archivo está siendo sincronizado o fue sincronizado recientemente
-  if (syncManager.isFileLocked(normalizedPath)) {
-    return;
-  }
-
-  // Verificar si fue modificado muy recientemente por otra sincronización
-  if (syncManager.wasRecentlyModified(normalizedPath, 3000)) {
-    return;
-  }
-
-  // Verificar si realmente cambió el contenido
-  if (!syncManager.hasFileChanged(normalizedPath)) {
-    return;
-  }
-
-  // Determinar dirección del cambio
-  const isSourceFile = normalizedPath.startsWith(syncManager.sourcePath);
-  const direction = isSourceFile ? "source-to-target" : "target-to-source";
-
-  // Programar sincronización
-  scheduleSync(normalizedPath, direction, syncManager);
-}
-
-// Programar sincronización con debounce MEJORADO
-function scheduleSync(filePath, direction, syncManager) {
-  const key = `${filePath}-${direction}`;
-
-  // Cancelar operación pendiente si existe
-  if (syncManager.pendingOperations.has(key)) {
-    clearTimeout(syncManager.pendingOperations.get(key));
-  }
-
-  // Delay más largo para archivos del contenedor hacia local
-  const delay = direction === "target-to-source" ? 4000 : 2000;
-
-  const timeout = setTimeout(() => {
-    performSync(filePath, direction, syncManager);
-    syncManager.pendingOperations.delete(key);
-  }, delay);
-
-  syncManager.pendingOperations.set(key, timeout);
-}
-
-// Ejecutar sincronización COMPLETAMENTE CORREGIDO
-async function performSync(filePath, direction, syncManager) {
-  // Normalizar path al inicio
-  const normalizedFilePath = path.resolve(filePath);
-  
-  try {
-    // Verificar nuevamente si está locked (doble verificación)
-    if (syncManager.isFileLocked(normalizedFilePath)) {
-      return;
-    }
-
-    // Lock el archivo
-    syncManager.lockFile(normalizedFilePath);
-
-    const { sourcePath, targetPath } = getSyncPaths(
-      normalizedFilePath,
-      direction,
-      syncManager
-    );
-
-    // Verificar que el archivo origen existe y es estable
-    if (!await isFileStable(sourcePath)) {
-      return;
-    }
-
-    // Verificar que el contenido realmente cambió
-    if (!syncManager.hasFileChanged(sourcePath)) {
-      return;
-    }
-
-    // Crear directorio destino si no existe
-    const targetDir = path.dirname(targetPath);
-    if (!fs.existsSync(targetDir)) {
-      fs.mkdirSync(targetDir, { recursive: true });
-    }
-
-    // Copiar archivo
-    fs.copyFileSync(sourcePath, targetPath);
-
-    // Actualizar hashes para ambos archivos
-    syncManager.updateRelatedHashes(sourcePath, targetPath);
-
-    // Log una sola vez con información clara
-    const relativePath = path.relative(process.cwd(), sourcePath);
-    const directionText =
-      direction === "source-to-target"
-        ? "Local→Contenedor"
-        : "Contenedor→Local";
-    console.log(chalk.green(`✓ ${directionText}: ${relativePath}`));
-    
-  } catch (error) {
-    console.log(chalk.red(`Error en sync: ${error.message}`));
-  } finally {
-    // Liberar archivo después de un delay
-    setTimeout(() => {
-      syncManager.unlockFile(normalizedFilePath);
-    }, 1000);
-  }
-}
-
-// Verificar si un archivo está estable (no está siendo modificado)
-async function isFileStable(filePath, maxAttempts = 3) {
-  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
-    try {
-      if (!fs.existsSync(filePath)) {
-        return false;
-      }
-
-      const stats1 = fs.statSync(filePath);
-      if (stats1.size === 0) {
-        await new Promise(resolve => setTimeout(resolve, 500));
-        continue;
-      }
-
-      // Esperar un poco y verificar que no cambió
-      await new Promise(resolve => setTimeout(resolve, 500));
-
-      if (!fs.existsSync(filePath)) {
-        return false;
-      }
-
-      const stats2 = fs.statSync(filePath);
-      
-      // Verificar que tamaño y fecha de modificación son iguales
-      if (stats1.size === stats2.size && 
-          stats1.mtime.getTime() === stats2.mtime.getTime()) {
-        return true;
-      }
-
-    } catch (error) {
-      // Si hay error, el archivo podría estar siendo modificado
-    }
-
-    if (attempt < maxAttempts) {
-      await new Promise(resolve => setTimeout(resolve, 1000));
-    }
-  }
-  
-  return false;
-}
-
-// Obtener rutas de origen y destino según la dirección COMPLETAMENTE CORREGIDO
-function getSyncPaths(filePath, direction, syncManager) {
-  const normalizedFilePath = path.resolve(filePath);
-  const normalizedSourcePath = path.resolve(syncManager.sourcePath);
-  const normalizedTargetPath = path.resolve(syncManager.targetPath);
-
-  if (direction === "source-to-target") {
-    // Local → Contenedor
-    const relativePath = path.relative(normalizedSourcePath, normalizedFilePath);
-    return {
-      sourcePath: normalizedFilePath,
-      targetPath: path.resolve(normalizedTargetPath, relativePath),
-    };
-  } else {
-    // Contenedor → Local
-    const relativePath = path.relative(normalizedTargetPath, normalizedFilePath);
-    return {
-      sourcePath: normalizedFilePath, // El archivo modificado en el contenedor
-      targetPath: path.resolve(normalizedSourcePath, relativePath), // Su equivalente en local
-    };
-  }
-}
-
-// Inicializar hashes de archivos existentes
-function initializeFileHashes(syncManager) {
-  const getAllFiles = (dir) => {
-    const files = [];
-    if (!fs.existsSync(dir)) return files;
-
-    try {
-      const items = fs.readdirSync(dir, { withFileTypes: true });
-      for (const item of items) {
-        const fullPath = path.join(dir, item.name);
-        if (item.isDirectory() && !item.name.startsWith(".")) {
-          files.push(...getAllFiles(fullPath));
-        } else if (item.isFile()) {
-          files.push(fullPath);
-        }
-      }
-    } catch (error) {
-      // Ignorar errores de permisos
-    }
-    return files;
-  };
-
-  // Inicializar hashes de archivos existentes
-  const sourceFiles = getAllFiles(syncManager.sourcePath);
-  const targetFiles = getAllFiles(syncManager.targetPath);
-
-  [...sourceFiles, ...targetFiles].forEach((file) => {
-    syncManager.updateFileHash(file);
-  });
-}
-
-// Construir imagen personalizada con Git
-async function buildCustomImage(spinner) {
-  return new Promise((resolve, reject) => {
-    exec("docker images -q wpsite-wordpress:latest", (error, stdout) => {
-      if (stdout.trim()) {
-        resolve();
-        return;
-      }
-
-      spinner.text = "Construyendo imagen Docker con Git...";
-
-      // Encontrar la ruta del Dockerfile
-      let dockerfilePath = path.join(process.cwd(), "Dockerfile");
-      let contextPath = process.cwd();
-
-      if (!fs.existsSync(dockerfilePath)) {
-        const globalPath = path.join(__dirname, "../../../Dockerfile");
-        if (fs.existsSync(globalPath)) {
-          dockerfilePath = globalPath;
-          contextPath = path.dirname(globalPath);
-        }
-      }
-
-      // Crear Dockerfile si no existe
-      if (!fs.existsSync(dockerfilePath)) {
-        const dockerfileContent = `FROM wordpress:6.4-php8.2-apache
-
-# Actualizar repositorios e instalar Git
-RUN apt-get update && \\
-    apt-get install -y git && \\
-    apt-get clean && \\
-    rm -rf /var/lib/apt/lists/*
-
-EXPOSE 80
-CMD ["apache2-foreground"]
-`;
-        fs.writeFileSync(dockerfilePath, dockerfileContent);
-        console.log(chalk.blue("📝 Dockerfile creado"));
-      }
-
-      const buildCmd = spawn(
-        "docker",
-        [
-          "build",
-          "-t",
-          "wpsite-wordpress:latest",
-          "-f",
-          dockerfilePath,
-          contextPath,
-        ],
-        { stdio: "pipe" }
-      );
-
-      buildCmd.on("close", (code) => {
-        if (code === 0) {
-          console.log(chalk.green("✅ Imagen Docker construida con Git"));
-          resolve();
-        } else {
-          reject(new Error("Error construyendo imagen Docker"));
-        }
-      });
-    });
-  });
-}
-
-// Iniciar contenedor Docker principal
-async function startDockerContainer(spinner, port) {
-  spinner.text = "Iniciando contenedor Docker...";
-
-  return new Promise(async (resolve, reject) => {
-    const containerName = `wpsite-dev-${port}`;
-
-    try {
-      // Construir imagen personalizada con Git
-      await buildCustomImage(spinner);
-
-      // Limpiar contenedor existente
-      await cleanupExistingContainer(containerName);
-
-      console.log(chalk.blue("🧹 Limpiando contenedores existentes..."));
-
-      // Iniciar contenedor con imagen personalizada
-      const dockerArgs = [
-        "run",
-        "-d",
-        "--name",
-        containerName,
-        "--rm",
-        "-p",
-        `${port}:80`,
-        "-v",
-        `${process.cwd()}/wordpress:/var/www/html`,
-        "wpsite-wordpress:latest",
-      ];
-
-      const containerStart = spawn("docker", dockerArgs, { stdio: "pipe" });
-
-      let containerId = "";
-      let errorOutput = "";
-
-      containerStart.stdout.on("data", (data) => {
-        containerId += data.toString().trim();
-      });
-
-      containerStart.stderr.on("data", (data) => {
-        errorOutput += data.toString();
-      });
-
-      containerStart.on("close", (code) => {
-        if (code === 0 && containerId) {
-          console.log(
-            chalk.blue(
-              `🐳 Contenedor iniciado: ${containerId.substring(0, 12)}`
-            )
-          );
-          resolve(containerId);
-        } else {
-          reject(new Error(`Error iniciando contenedor: ${errorOutput}`));
-        }
-      });
-    } catch (error) {
-      reject(error);
-    }
-  });
-}
-
-async function cleanupExistingContainer(containerName) {
-  return new Promise((resolve) => {
-    exec(`docker stop ${containerName} 2>/dev/null`, () => {
-      exec(`docker rm ${containerName} 2>/dev/null`, () => {
-        resolve();
-      });
-    });
-  });
-}
-
-// Esperar a que WordPress esté disponible
-async function waitForWordPress(spinner, port) {
-  spinner.text = "Esperando a que WordPress esté listo...";
-
-  return new Promise((resolve) => {
-    let attempts = 0;
-    const maxAttempts = 30;
-
-    const checkWordPress = () => {
-      attempts++;
-
-      exec(`curl -f -s http://localhost:${port} >/dev/null 2>&1`, (error) => {
-        if (error) {
-          if (attempts >= maxAttempts) {
-            console.log(
-              chalk.yellow(
-                "\n⚠️ WordPress tardó más de lo esperado, pero continuando..."
-              )
-            );
-            resolve();
-          } else {
-            spinner.text = `Esperando WordPress... (${attempts}/${maxAttempts})`;
-            setTimeout(checkWordPress, 1000);
-          }
-        } else {
-          console.log(chalk.green("\n✅ WordPress está respondiendo"));
-          resolve();
-        }
-      });
-    };
-
-    setTimeout(checkWordPress, 3000);
-  });
-}
-
-// Función para iniciar túnel ngrok
-async function startNgrokTunnel(port, spinner) {
-  return new Promise((resolve, reject) => {
-    spinner.text = "Iniciando túnel ngrok...";
-
-    exec("ngrok version", (versionError) => {
-      if (versionError) {
-        spinner.fail("❌ ngrok no está instalado");
-        console.log(chalk.yellow("\n📦 Para usar túneles, instala ngrok:"));
-        console.log(chalk.blue("   1. Descarga: https://ngrok.com/download"));
-        console.log(chalk.blue("   2. O instala: npm install -g ngrok"));
-        console.log(
-          chalk.blue("   3. Configura: ngrok config add-authtoken TU_TOKEN")
-        );
-        reject(new Error("ngrok no encontrado"));
-        return;
-      }
-
-      const ngrokProcess = spawn(
-        "ngrok",
-        ["http", port, "--host-header=rewrite"],
-        {
-          stdio: "pipe",
-          detached: false,
-        }
-      );
-
-      let ngrokUrl = null;
-      let attempts = 0;
-      const maxAttempts = 15;
-
-      const checkNgrokUrl = () => {
-        attempts++;
-
-        exec("curl -s http://localhost:4040/api/tunnels", (error, stdout) => {
-          if (error) {
-            if (attempts < maxAttempts) {
-              setTimeout(checkNgrokUrl, 1000);
-            } else {
-              reject(new Error("No se pudo obtener URL de ngrok"));
-            }
-            return;
-          }
-
-          try {
-            const tunnels = JSON.parse(stdout);
-            if (tunnels.tunnels && tunnels.tunnels.length > 0) {
-              const httpsTunnel = tunnels.tunnels.find((t) =>
-                t.public_url.startsWith("https://")
-              );
-              ngrokUrl = httpsTunnel
-                ? httpsTunnel.public_url
-                : tunnels.tunnels[0].public_url;
-
-              console.log(chalk.blue(`🔗 Túnel obtenido: ${ngrokUrl}`));
-
-              resolve({
-                url: ngrokUrl,
-                process: ngrokProcess,
-              });
-            } else {
-              if (attempts < maxAttempts) {
-                setTimeout(checkNgrokUrl, 1000);
-              } else {
-                reject(new Error("No se encontraron túneles activos"));
-              }
-            }
-          } catch (parseError) {
-            if (attempts < maxAttempts) {
-              setTimeout(checkNgrokUrl, 1000);
-            } else {
-              reject(new Error("Error parseando respuesta de ngrok"));
-            }
-          }
-        });
-      };
-
-      ngrokProcess.on("error", (error) => {
-        reject(new Error(`Error iniciando ngrok: ${error.message}`));
-      });
-
-      ngrokProcess.stderr.on("data", (data) => {
-        const errorMsg = data.toString();
-        if (errorMsg.includes("authtoken")) {
-          reject(
-            new Error(
-              "Token de ngrok no configurado. Ejecuta: ngrok config add-authtoken TU_TOKEN"
-            )
-          );
-        }
-      });
-
-      setTimeout(checkNgrokUrl, 3000);
-    });
-  });
-}
-
-// Función para detener túnel ngrok
-async function stopNgrokTunnel(ngrokProcess) {
-  if (ngrokProcess && !ngrokProcess.killed) {
-    console.log(chalk.yellow("🔌 Cerrando túnel ngrok..."));
-    ngrokProcess.kill("SIGTERM");
-
-    setTimeout(() => {
-      if (!ngrokProcess.killed) {
-        ngrokProcess.kill("SIGKILL");
-      }
-    }, 2000);
-  }
-}
-
-// Detener contenedor Docker mejorado
-async function stopDockerContainer(containerId) {
-  return new Promise((resolve) => {
-    console.log(chalk.yellow("🛑 Deteniendo contenedor..."));
-
-    const stopCmd = spawn("docker", ["stop", "-t", "10", containerId], {
-      stdio: "pipe",
-    });
-
-    stopCmd.on("close", (code) => {
-      if (code === 0) {
-        console.log(chalk.green("✅ Contenedor detenido"));
-      } else {
-        console.log(chalk.yellow("⚠️ Forzando detención del contenedor..."));
-        const killCmd = spawn("docker", ["kill", containerId], {
-          stdio: "pipe",
-        });
-        killCmd.on("close", () => {
-          console.log(chalk.green("✅ Contenedor forzado a detenerse"));
-        });
-      }
-
-      setTimeout(() => {
-        const removeCmd = spawn("docker", ["rm", "-f", containerId], {
-          stdio: "pipe",
-        });
-        removeCmd.on("close", () => {
-          resolve();
-        });
-      }, 1000);
-    });
-  });
-}
\ No newline at end of file
+const { spawn, exec } = require("child_process");
+const chalk = require("chalk");
+const ora = require("ora");
+const fs = require("fs");
+const path = require("path");
+const DockerHelper = require("../utils/docker-helper");
+const ConfigHelper = require("../utils/config-helper");
+const DatabaseHelper = require("../utils/database-helper");
+const UploadsProxy = require("../utils/uploads-proxy");
+const WordPressCore = require("../utils/wordpress-core");
+const StateHelper = require("../utils/state-helper");
+const ImageHelper = require("../utils/image-helper");
+const ServerConfig = require("../utils/server-config");
+const XdebugHelper = require("../utils/xdebug-helper");
+const LogHelper = require("../utils/log-helper");
+const PhpErrorPanel = require("../utils/php-error-panel");
+const HealthCheck = require("../utils/health-check");
+const SyncConflicts = require("../utils/sync-conflicts");
+const SyncRules = require("../utils/sync-rules");
+const FileHasher = require("../utils/file-hasher");
+const { getTunnelProvider } = require("../tunnels");
+
+// Clase para gestionar sincronización inteligente
+class SyncManager {
+  constructor(sourcePath, targetPath, rules, hasher) {
+    this.sourcePath = sourcePath;
+    this.targetPath = targetPath;
+    this.rules = rules || SyncRules.getRules(); // reglas de ignore/include por dirección
+    this.hasher = hasher || new FileHasher(); // hashes por streaming con índice en .wpsite/sync
+    this.fileHashes = new Map(); // archivo -> hash
+    this.syncingFiles = new Set(); // archivos en proceso
+    this.pendingOperations = new Map(); // archivo -> timeout
+    this.lastSyncTime = new Map(); // archivo -> timestamp
+    this.recentlySynced = new Set(); // archivos sincronizados recientemente
+    this.quiet = false; // --errors-only: no mostrar cada archivo sincronizado
+    this.pendingDeletes = new Map(); // "lado:hash" -> borrado en espera (detección de renombrados)
+  }
+
+  // Calcular hash del archivo (null si no existe)
+  getFileHash(filePath) {
+    return this.hasher.hash(filePath);
+  }
+
+  // Verificar si realmente cambió
+  async hasFileChanged(filePath) {
+    const currentHash = await this.getFileHash(filePath);
+    const storedHash = this.fileHashes.get(filePath);
+    return currentHash !== storedHash && currentHash !== null;
+  }
+
+  // Marcar archivo como sincronizándose
+  lockFile(filePath) {
+    this.syncingFiles.add(filePath);
+    this.recentlySynced.add(filePath);
+    
+    // Auto-unlock después de 10 segundos como seguridad
+    setTimeout(() => {
+      this.unlockFile(filePath);
+    }, 10000);
+  }
+
+  // Liberar archivo
+  unlockFile(filePath) {
+    this.syncingFiles.delete(filePath);
+    
+    // Mantener en recentlySynced por más tiempo para evitar loops
+    setTimeout(() => {
+      this.recentlySynced.delete(filePath);
+    }, 5000);
+  }
+
+  // Verificar si está siendo sincronizado o fue sincronizado recientemente
+  isFileLocked(filePath) {
+    return this.syncingFiles.has(filePath) || this.recentlySynced.has(filePath);
+  }
+
+  // Actualizar hash después de sincronización para ambos archivos
+  async updateFileHash(filePath) {
+    const hash = await this.getFileHash(filePath);
+    if (hash) {
+      this.fileHashes.set(filePath, hash);
+      this.lastSyncTime.set(filePath, Date.now());
+    }
+  }
+
+  // Actualizar hashes para archivos relacionados (origen y destino)
+  async updateRelatedHashes(sourcePath, targetPath) {
+    const [sourceHash, targetHash] = await Promise.all([
+      this.getFileHash(sourcePath),
+      this.getFileHash(targetPath),
+    ]);
+
+    if (sourceHash && targetHash && sourceHash === targetHash) {
+      this.fileHashes.set(sourcePath, sourceHash);
+      this.fileHashes.set(targetPath, targetHash);
+      this.lastSyncTime.set(sourcePath, Date.now());
+      this.lastSyncTime.set(targetPath, Date.now());
+    }
+  }
+
+  // Verificar si el archivo fue modificado recientemente
+  wasRecentlyModified(filePath, thresholdMs = 3000) {
+    const lastSync = this.lastSyncTime.get(filePath);
+    return lastSync && (Date.now() - lastSync < thresholdMs);
+  }
+
+  // Conflicto real: el destino también cambió desde la última sincronización (hash base)
+  async hasConflict(sourcePath, targetPath) {
+    const targetHash = await this.getFileHash(targetPath);
+    if (!targetHash) return false;
+
+    return (
+      targetHash !== (await this.getFileHash(sourcePath)) &&
+      targetHash !== this.fileHashes.get(targetPath)
+    );
+  }
+
+  // Olvidar un archivo eliminado
+  forgetFile(filePath) {
+    this.fileHashes.delete(filePath);
+    this.lastSyncTime.delete(filePath);
+    this.hasher.forget(filePath);
+  }
+
+  // Lado del archivo: "source" (wp-content local) o "target" (wordpress/wp-content)
+  getSide(filePath) {
+    return filePath.startsWith(this.sourcePath) ? "source" : "target";
+  }
+
+  // Excluido por las reglas de la dirección en la que se sincronizaría (desde su lado)
+  isIgnored(filePath, isDirectory = false) {
+    const isSource = this.getSide(filePath) === "source";
+    const root = isSource ? this.sourcePath : this.targetPath;
+
+    return SyncRules.isIgnored(
+      this.rules[isSource ? "toContainer" : "toLocal"],
+      path.relative(root, filePath),
+      isDirectory
+    );
+  }
+
+  // Excluido en las dos direcciones: no hace falta vigilarlo ni calcular su hash
+  isIgnoredEverywhere(filePath, isDirectory = false) {
+    const root =
+      this.getSide(filePath) === "source" ? this.sourcePath : this.targetPath;
+    const relativePath = path.relative(root, filePath);
+
+    return (
+      SyncRules.isIgnored(this.rules.toContainer, relativePath, isDirectory) &&
+      SyncRules.isIgnored(this.rules.toLocal, relativePath, isDirectory)
+    );
+  }
+
+  // Limpiar operaciones pendientes
+  cleanup() {
+    this.pendingOperations.forEach((timeout) => clearTimeout(timeout));
+    this.pendingOperations.clear();
+    this.pendingDeletes.forEach((pending) => clearTimeout(pending.timeout));
+    this.pendingDeletes.clear();
+    this.syncingFiles.clear();
+    this.recentlySynced.clear();
+    this.hasher.save();
+  }
+}
+
+module.exports = async (options = {}) => {
+  // Modo desacoplado: relanzar wpsite dev en segundo plano y volver
+  if (options.detach) {
+    return startDetached();
+  }
+
+  const spinner = ora("Iniciando WordPress...").start();
+  const isDetachedChild = process.env.WPSITE_DETACHED === "1";
+  let port = options.port || 8080;
+  const useTunnel = options.tunel || options.tunnel;
+
+  let tunnel = null;
+  let tunnelProvider = null;
+
+  try {
+    // 1. Verificar Docker (única dependencia)
+    await checkDockerRequirement(spinner);
+
+    // 2. Verificar wp-content
+    if (!fs.existsSync("./wp-content")) {
+      spinner.fail("❌ No se encontró wp-content/");
+      console.log(
+        chalk.yellow(
+          "Asegúrate de estar en un directorio con wp-content/ clonado desde GitHub"
+        )
+      );
+      console.log(chalk.blue("Ejemplo:"));
+      console.log(chalk.blue("  git clone tu-repo.git ."));
+      console.log(chalk.blue("  wpsite dev"));
+      return;
+    }
+
+    // 3. Verificar configuración
+    if (!fs.existsSync("./wpsite.config.js")) {
+      spinner.fail("❌ No se encontró wpsite.config.js");
+      console.log(chalk.yellow("Ejecuta: wpsite init"));
+      return;
+    }
+
+    const config = ConfigHelper.load();
+    const database = ConfigHelper.getDatabaseConfig(config, options);
+    const uploadsProxy = UploadsProxy.getProxyConfig(config);
+    const project = ConfigHelper.getProjectInfo(config);
+    const wordpress = WordPressCore.resolveVersion(config, options);
+    const phpVersion = ImageHelper.resolvePhpVersion(config, options);
+    const image = ImageHelper.getImageTag(phpVersion);
+    const serverOverrides = ServerConfig.getOverrides(config);
+    const xdebug = XdebugHelper.getXdebugConfig(config, options);
+    const sync = ConfigHelper.getSyncConfig(config);
+
+    if (!ImageHelper.isKnownPhpVersion(phpVersion)) {
+      console.log(
+        chalk.yellow(
+          `⚠️ PHP ${phpVersion} no está entre las versiones probadas, se usará ${ImageHelper.getBaseImage(phpVersion)}`
+        )
+      );
+    }
+
+    // 4. Limpiar contenedores anteriores de este proyecto (no los de otros)
+    await cleanupAllWPSiteContainers(spinner, project);
+
+    // 5. Verificar que el puerto esté disponible o elegir el siguiente libre
+    const isPortAvailable = await DockerHelper.checkPortAvailable(port);
+    if (!isPortAvailable) {
+      const freePort = await DockerHelper.findAvailablePort(parseInt(port, 10) + 1);
+      if (!freePort) {
+        spinner.fail(`❌ El puerto ${port} ya está en uso`);
+        console.log(
+          chalk.yellow(
+            `Prueba con otro puerto: wpsite dev --port ${parseInt(port) + 1}`
+          )
+        );
+        return;
+      }
+
+      console.log(
+        chalk.yellow(`\n⚠️ El puerto ${port} ya está en uso, usando ${freePort}`)
+      );
+      port = freePort;
+    }
+
+    // 6. Iniciar base de datos local si se solicita
+    if (database.mode === "local") {
+      await DatabaseHelper.startLocalDatabase(database, spinner);
+    }
+
+    // 7. Preparar WordPress y configuración
+    await prepareWordPressWithDocker(spinner, port, database, wordpress, sync);
+
+    // 8. Iniciar contenedor Docker (con proxy de uploads y ajustes de PHP/Apache del proyecto)
+    // La imagen se construye antes para saber si incluye Xdebug
+    await ImageHelper.ensureImage(phpVersion, spinner);
+    const xdebugInstalled = xdebug
+      ? await XdebugHelper.isInstalled(image)
+      : false;
+    const extraArgs = [
+      ...(uploadsProxy ? UploadsProxy.prepare(uploadsProxy) : []),
+      ...ServerConfig.prepare(serverOverrides),
+      ...(xdebugInstalled ? XdebugHelper.prepare(xdebug) : []),
+    ];
+    const containerId = await startDockerContainer(
+      spinner,
+      port,
+      project,
+      database,
+      phpVersion,
+      sync,
+      extraArgs
+    );
+
+    // 9. Esperar a que WordPress esté listo
+    await waitForWordPress(
+      spinner,
+      port,
+      HealthCheck.getHealthConfig(config),
+      getContainerName(project),
+      sync.mode
+    );
+
+    const phpSettings = await ServerConfig.getEffectivePhpSettings(
+      containerId,
+      serverOverrides
+    ).catch(() => null);
+    const xdebugVersion = xdebug
+      ? await XdebugHelper.getLoadedVersion(containerId)
+      : null;
+
+    const restoreOnExit = () => {
+      try {
+        createWordPressConfig(port, null, database);
+      } catch (error) {
+        // Sin wpsite.config.js no hay configuración que restaurar
+      }
+    };
+
+    // 10. Iniciar túnel si se solicita (ngrok, cloudflared o comando propio)
+    if (useTunnel) {
+      try {
+        tunnelProvider = getTunnelProvider(config, options.tunnelProvider);
+        tunnel = await tunnelProvider.start(port, spinner);
+
+        // Regenerar wp-config.php con la URL pública
+        spinner.text = "Configurando WordPress para el túnel...";
+        createWordPressConfig(port, tunnel.url, database);
+        // Cualquier salida (también por un error no capturado) vuelve a localhost
+        process.on("exit", restoreOnExit);
+      } catch (error) {
+        console.log(
+          chalk.yellow(`⚠️ No se pudo iniciar túnel: ${error.message}`)
+        );
+        console.log(chalk.blue("   Continuando sin túnel..."));
+      }
+    }
+
+    // 11. Mostrar información
+    spinner.succeed(
+      `🚀 WordPress corriendo en ${chalk.green(`http://localhost:${port}`)}`
+    );
+    console.log(chalk.blue(`🐳 Servidor: Docker (${image}, PHP ${phpVersion})`));
+    if (phpSettings) {
+      console.log(
+        chalk.blue(
+          `🐘 PHP: ${Object.keys(phpSettings)
+            .map((key) => `${key}=${phpSettings[key]}`)
+            .join(" · ")}`
+        )
+      );
+    }
+    if (serverOverrides.iniSources.length > 0) {
+      console.log(
+        chalk.gray(`   php.ini del proyecto: ${serverOverrides.iniSources.join(", ")}`)
+      );
+    }
+    if (serverOverrides.apacheSources.length > 0) {
+      console.log(
+        chalk.gray(
+          `   Apache del proyecto: ${serverOverrides.apacheSources.join(", ")}`
+        )
+      );
+    }
+    console.log(chalk.blue(`📁 wp-content: ${describeSyncMode(sync)}`));
+    console.log(
+      chalk.blue(
+        database.mode === "local"
+          ? `🗃️ Base de datos: Local (${database.image}, volumen ${database.volumeName})`
+          : "🗃️ Base de datos: Remota"
+      )
+    );
+    if (uploadsProxy) {
+      console.log(
+        chalk.blue(
+          `🖼️ Uploads: ${uploadsProxy.url}${
+            uploadsProxy.cache ? " (con caché en .wpsite/uploads-cache)" : ""
+          }`
+        )
+      );
+    }
+    if (xdebug && xdebugVersion) {
+      console.log(
+        chalk.blue(
+          `🐞 Xdebug ${xdebugVersion}: ${xdebug.clientHost}:${xdebug.port} (mode=${xdebug.mode})`
+        )
+      );
+      console.log(
+        chalk.gray("   .vscode/launch.json (extensión PHP Debug):")
+      );
+      console.log(chalk.gray(XdebugHelper.buildLaunchConfig(xdebug)));
+    } else if (xdebug) {
+      console.log(
+        chalk.yellow(
+          `⚠️ Xdebug no está instalado en ${image}; reconstruye con: wpsite image rebuild`
+        )
+      );
+    }
+    console.log(
+      chalk.magenta(`📋 Container ID: ${containerId.substring(0, 12)}`)
+    );
+
+    if (tunnel && tunnel.url) {
+      console.log(
+        chalk.magenta(`🌍 Túnel público (${tunnelProvider.name}): ${tunnel.url}`)
+      );
+      console.log(
+        chalk.yellow("💡 Comparte esta URL con otros desarrolladores")
+      );
+    }
+
+    // 12. Guardar estado para wpsite status / wpsite stop
+    StateHelper.write({
+      pid: process.pid,
+      port: parseInt(port, 10),
+      url: `http://localhost:${port}`,
+      containerId,
+      containerName: getContainerName(project),
+      image,
+      phpVersion,
+      xdebug: Boolean(xdebugVersion),
+      syncMode: sync.mode,
+      tunnelUrl: tunnel ? tunnel.url : null,
+      tunnelProvider: tunnel ? tunnelProvider.name : null,
+      tunnelPid: tunnel && tunnel.process ? tunnel.process.pid : null,
+      tunnelCommand:
+        tunnel && tunnelProvider.getCommand ? tunnelProvider.getCommand(port) : null,
+      database: {
+        mode: database.mode,
+        containerName: database.containerName || null,
+      },
+      detached: isDetachedChild,
+      logFile: isDetachedChild ? StateHelper.getLogPath() : null,
+      startedAt: new Date().toISOString(),
+    });
+
+    if (!isDetachedChild) {
+      console.log(chalk.yellow("\n✨ Presiona Ctrl+C (o ejecuta wpsite stop) para detener\n"));
+    }
+
+    if (options.errorsOnly && global.wpContentSyncManager) {
+      global.wpContentSyncManager.quiet = true;
+      console.log(chalk.gray("🔇 --errors-only: se oculta la sincronización de archivos"));
+    }
+
+    // Panel de errores PHP (contenedor y debug.log); con --php-errors se muestran las líneas completas
+    const phpErrorPanel = new PhpErrorPanel({ silent: Boolean(options.phpErrors) });
+    if (options.phpErrors) {
+      console.log(chalk.blue("🐘 Mostrando errores y warnings de PHP en la consola"));
+    }
+    const phpErrorFollower = LogHelper.follow(
+      containerId,
+      { streams: ["php", "debug"], syncMode: sync.mode },
+      (entry) => {
+        if (
+          options.phpErrors &&
+          ["fatal", "error", "warning"].includes(entry.severity)
+        ) {
+          console.log(LogHelper.format(entry));
+        }
+        phpErrorPanel.add(entry);
+      }
+    );
+
+    // 13. Cleanup al cerrar
+    process.on("SIGINT", async () => {
+      console.log(chalk.red("\n🛑 Deteniendo servicios..."));
+
+      phpErrorFollower.stop();
+      phpErrorPanel.stop();
+      phpErrorPanel.printSummary();
+
+      // Cerrar watchers si existen
+      if (global.wpContentSyncManager) {
+        global.wpContentSyncManager.cleanup();
+        if (global.wpContentWatcher) {
+          global.wpContentWatcher.close();
+        }
+        console.log(chalk.yellow("📂 Sincronización de archivos detenida"));
+      }
+
+      // Detener túnel primero y restaurar URLs de localhost
+      if (tunnel && tunnel.process) {
+        console.log(chalk.yellow(`🔌 Cerrando túnel ${tunnelProvider.name}...`));
+        await tunnelProvider.stop(tunnel.process);
+        process.removeListener("exit", restoreOnExit);
+        createWordPressConfig(port, null, database);
+        console.log(chalk.yellow("🔗 wp-config.php restaurado a localhost"));
+      }
+
+      // Luego detener contenedor
+      await stopDockerContainer(containerId);
+
+      // Detener base de datos local (los datos persisten en el volumen)
+      if (database.mode === "local") {
+        console.log(chalk.yellow("🗃️ Deteniendo base de datos local..."));
+        await DatabaseHelper.stopLocalDatabase(database);
+      }
+
+      StateHelper.clear();
+      console.log(chalk.green("✅ Servicios detenidos correctamente"));
+      process.exit(0);
+    });
+
+    // 14. Mantener el proceso vivo (en segundo plano no hay stdin)
+    if (isDetachedChild) {
+      setInterval(() => {}, 1 << 30);
+    } else {
+      process.stdin.resume();
+    }
+  } catch (error) {
+    spinner.fail(`❌ Error: ${error.message}`);
+    process.exit(1);
+  }
+};
+
+// Lanzar wpsite dev como proceso en segundo plano con log en .wpsite/dev.log
+async function startDetached() {
+  const previous = StateHelper.read();
+  if (previous && StateHelper.isProcessAlive(previous.pid)) {
+    console.log(
+      chalk.yellow(`⚠️ Ya hay un entorno corriendo en ${previous.url} (PID ${previous.pid})`)
+    );
+    console.log(chalk.blue("   Usa wpsite status o wpsite stop"));
+    return;
+  }
+
+  StateHelper.clear();
+
+  const logPath = StateHelper.getLogPath();
+  fs.mkdirSync(path.dirname(logPath), { recursive: true });
+  const logFd = fs.openSync(logPath, "w");
+
+  const args = process.argv.slice(1).filter((arg) => arg !== "--detach");
+  const child = spawn(process.execPath, args, {
+    cwd: process.cwd(),
+    detached: true,
+    windowsHide: true,
+    stdio: ["ignore", logFd, logFd],
+    env: Object.assign({}, process.env, { WPSITE_DETACHED: "1" }),
+  });
+
+  fs.writeFileSync(StateHelper.getPidPath(), String(child.pid));
+  child.unref();
+  fs.closeSync(logFd);
+
+  const spinner = ora(`Iniciando WordPress en segundo plano (PID ${child.pid})...`).start();
+
+  // Esperar a que el proceso hijo registre su estado o termine con error
+  const deadline = Date.now() + 10 * 60 * 1000;
+  while (Date.now() < deadline) {
+    const state = StateHelper.read();
+    if (state && state.pid === child.pid) {
+      spinner.succeed(
+        `🚀 WordPress corriendo en segundo plano en ${chalk.green(state.url)}`
+      );
+      if (state.tunnelUrl) {
+        console.log(chalk.magenta(`🌍 Túnel público: ${state.tunnelUrl}`));
+      }
+      console.log(chalk.blue(`📄 Log: ${path.relative(process.cwd(), logPath)}`));
+      console.log(chalk.blue("   wpsite status · wpsite logs --daemon -f · wpsite stop"));
+      return;
+    }
+
+    if (!StateHelper.isProcessAlive(child.pid)) {
+      spinner.fail("❌ El proceso en segundo plano terminó con error");
+      const logLines = fs.readFileSync(logPath, "utf8").trim().split("\n");
+      console.log(chalk.gray(logLines.slice(-15).join("\n")));
+      StateHelper.clear();
+      process.exit(1);
+    }
+
+    await new Promise((resolve) => setTimeout(resolve, 1000));
+  }
+
+  spinner.warn("⚠️ El entorno sigue iniciando, revisa wpsite status");
+}
+
+// Verificar que Docker esté disponible
+async function checkDockerRequirement(spinner) {
+  spinner.text = "Verificando Docker...";
+
+  return new Promise((resolve, reject) => {
+    exec("docker --version", (error, stdout) => {
+      if (error) {
+        spinner.fail("❌ Docker no está instalado");
+        console.log(
+          chalk.yellow("\n📦 wpsite requiere Docker para funcionar:")
+        );
+        console.log(
+          chalk.blue(
+            "   Windows: https://docs.docker.com/desktop/windows/install/"
+          )
+        );
+        console.log(
+          chalk.blue("   Mac: https://docs.docker.com/desktop/mac/install/")
+        );
+        console.log(
+          chalk.blue("   Linux: https://docs.docker.com/engine/install/")
+        );
+        console.log(
+          chalk.yellow(
+            "\n🔄 Después de instalar Docker, reinicia y vuelve a intentar"
+          )
+        );
+        reject(new Error("Docker no encontrado"));
+        return;
+      }
+
+      // Verificar que Docker esté corriendo
+      exec("docker info", (infoError) => {
+        if (infoError) {
+          spinner.fail("❌ Docker no está corriendo");
+          console.log(
+            chalk.yellow("\n🔄 Inicia Docker Desktop y vuelve a intentar")
+          );
+          reject(new Error("Docker no está corriendo"));
+          return;
+        }
+
+        const version = stdout.trim().replace("Docker version ", "");
+        spinner.text = `Docker encontrado: ${version}`;
+        resolve();
+      });
+    });
+  });
+}
+
+// Limpiar los contenedores de WordPress anteriores de este proyecto
+async function cleanupAllWPSiteContainers(spinner, project) {
+  spinner.text = "Limpiando contenedores anteriores...";
+
+  const containers = (await DockerHelper.listProjectContainers(project.id)).filter(
+    (container) => container.role === "wordpress"
+  );
+
+  if (containers.length === 0) {
+    return;
+  }
+
+  console.log(
+    chalk.yellow(
+      `🧹 Encontrados ${containers.length} contenedores de ${project.name}, limpiando...`
+    )
+  );
+
+  for (const container of containers) {
+    await DockerHelper.removeContainer(container.id);
+  }
+
+  console.log(chalk.green("✅ Contenedores anteriores limpiados"));
+}
+
+// Preparar WordPress usando contenedor temporal
+async function prepareWordPressWithDocker(
+  spinner,
+  port,
+  database,
+  wordpress,
+  sync
+) {
+  const installed = WordPressCore.getInstalledVersion();
+
+  // Instalaciones previas al lock: registrar la versión actual
+  if (installed && !WordPressCore.readLock()) {
+    WordPressCore.writeLock({
+      version: installed,
+      url: WordPressCore.getDownloadUrl(installed),
+      sha1: null,
+    });
+  }
+
+  if (!installed) {
+    spinner.stop();
+    console.log(chalk.yellow("📦 WordPress no encontrado, descargando..."));
+    await WordPressCore.install(wordpress.version);
+    spinner.start();
+  } else if (
+    wordpress.version !== "latest" &&
+    installed !== wordpress.version
+  ) {
+    // La versión instalada no coincide con la fijada en config/lock
+    if (wordpress.explicit) {
+      spinner.stop();
+      console.log(
+        chalk.yellow(`🔄 Cambiando WordPress ${installed} → ${wordpress.version}...`)
+      );
+      await WordPressCore.install(wordpress.version);
+      spinner.start();
+    } else {
+      console.log(
+        chalk.yellow(
+          `\n⚠️ ./wordpress tiene la versión ${installed}, pero el proyecto fija ${wordpress.version}`
+        )
+      );
+      console.log(
+        chalk.blue(`   Para sincronizar: wpsite core switch ${wordpress.version}`)
+      );
+    }
+  } else if (!WordPressCore.matchesLock()) {
+    // Misma versión, pero instalada desde un paquete distinto al registrado
+    console.log(
+      chalk.yellow(
+        `\n⚠️ ./wordpress no coincide con el paquete de WordPress ${installed} registrado en wpsite.lock.json`
+      )
+    );
+    console.log(
+      chalk.blue(`   Para reinstalarlo: wpsite core switch ${installed}`)
+    );
+  } else {
+    spinner.text = `WordPress ${installed} ya existe, saltando descarga...`;
+  }
+
+  spinner.text = "Creando configuración...";
+  createWordPressConfig(port, null, database);
+
+  spinner.text = "Configurando wp-content...";
+  if (sync.mode === "mount") {
+    setupMountedContent(sync);
+  } else {
+    await setupCustomContent(sync, spinner);
+  }
+}
+
+// Devolver wp-config.php a las URLs de localhost cuando el túnel ya no existe
+// (también desde wpsite stop, si el proceso de wpsite dev murió sin hacerlo)
+function restoreLocalUrls(state) {
+  const database = ConfigHelper.getDatabaseConfig(ConfigHelper.load(), {
+    localDb: Boolean(state.database && state.database.mode === "local"),
+  });
+  createWordPressConfig(state.port, null, database);
+}
+
+// Crear configuración de WordPress con URLs fijas para evitar problemas de sesión
+// (síncrona: también se usa al salir del proceso)
+function createWordPressConfig(port, tunnelUrl = null, database = null) {
+  const config = ConfigHelper.load();
+  const db = database || ConfigHelper.getDatabaseConfig(config);
+
+  const localUrl = `http://localhost:${port}`;
+  const publicHost = tunnelUrl ? new URL(tunnelUrl).host : null;
+
+  const wpConfig = `<?php
+/**
+ * WordPress Configuration - URLs fijas para evitar problemas de sesión
+ */
+
+// === CONFIGURACIÓN DE BASE DE DATOS ===
+define('DB_NAME', '${db.name}');
+define('DB_USER', '${db.user}');
+define('DB_PASSWORD', '${db.password}');
+define('DB_HOST', '${db.host}');
+define('DB_CHARSET', 'utf8mb4');
+define('DB_COLLATE', '');
+
+${
+  tunnelUrl
+    ? `// === URLs DINÁMICAS (túnel + localhost) ===
+// El túnel reescribe el Host, así que se usa X-Forwarded-Host para detectar el origen
+$wpsite_request_host = isset($_SERVER['HTTP_X_FORWARDED_HOST'])
+    ? $_SERVER['HTTP_X_FORWARDED_HOST']
+    : (isset($_SERVER['HTTP_HOST']) ? $_SERVER['HTTP_HOST'] : '');
+$wpsite_is_local = $wpsite_request_host !== '' && strcasecmp($wpsite_request_host, '${publicHost}') !== 0;
+define('WP_HOME', $wpsite_is_local ? '${localUrl}' : '${tunnelUrl}');
+define('WP_SITEURL', WP_HOME);`
+    : `// === URLs FIJAS ===
+define('WP_HOME', '${localUrl}');
+define('WP_SITEURL', '${localUrl}');`
+}
+
+// === CONFIGURACIÓN PARA TÚNELES ===
+${
+  tunnelUrl
+    ? `
+// Headers para el túnel
+if (isset($_SERVER['HTTP_X_FORWARDED_PROTO']) && $_SERVER['HTTP_X_FORWARDED_PROTO'] === 'https') {
+    $_SERVER['HTTPS'] = 'on';
+}
+
+// Forzar cookies para el túnel
+define('COOKIE_DOMAIN', '');
+define('COOKIEPATH', '/');
+define('SITECOOKIEPATH', '/');
+define('ADMIN_COOKIE_PATH', '/');
+define('PLUGINS_COOKIE_PATH', '/');
+
+// Configuración de sesión para el túnel
+ini_set('session.cookie_secure', false);
+ini_set('session.cookie_samesite', 'Lax');
+`
+    : `
+// Configuración para localhost
+define('COOKIE_DOMAIN', '');
+define('COOKIEPATH', '/');
+define('SITECOOKIEPATH', '/');
+`
+}
+
+// === DESACTIVAR VALIDACIONES ESTRICTAS ===
+define('RELOCATE', true);
+
+// === CONFIGURACIÓN DE SESIONES ===
+ini_set('session.cookie_httponly', 1);
+ini_set('session.use_only_cookies', 1);
+ini_set('session.cookie_lifetime', 0);
+ini_set('session.gc_maxlifetime', 3600);
+
+// === CONFIGURACIÓN DE DEBUG ===
+define('WP_DEBUG', true);
+define('WP_DEBUG_LOG', true);
+define('WP_DEBUG_DISPLAY', false);
+define('SCRIPT_DEBUG', true);
+
+// === CONFIGURACIÓN ADICIONAL ===
+define('WP_AUTO_UPDATE_CORE', false);
+define('DISALLOW_FILE_EDIT', true);
+define('WP_POST_REVISIONS', 3);
+define('AUTOMATIC_UPDATER_DISABLED', true);
+define('WP_MEMORY_LIMIT', '256M');
+
+// === CLAVES DE SEGURIDAD FIJAS ===
+define('AUTH_KEY',         'wpsite-dev-auth-key-12345');
+define('SECURE_AUTH_KEY',  'wpsite-dev-secure-auth-key-12345');
+define('LOGGED_IN_KEY',    'wpsite-dev-logged-in-key-12345');
+define('NONCE_KEY',        'wpsite-dev-nonce-key-12345');
+define('AUTH_SALT',        'wpsite-dev-auth-salt-12345');
+define('SECURE_AUTH_SALT', 'wpsite-dev-secure-auth-salt-12345');
+define('LOGGED_IN_SALT',   'wpsite-dev-logged-in-salt-12345');
+define('NONCE_SALT',       'wpsite-dev-nonce-salt-12345');
+
+\$table_prefix = '${db.tablePrefix}';
+
+if (!defined('ABSPATH')) {
+    define('ABSPATH', dirname(__FILE__) . '/');
+}
+
+require_once ABSPATH . 'wp-settings.php';
+`;
+
+  const wpConfigPath = "./wordpress/wp-config.php";
+  if (fs.existsSync(wpConfigPath)) {
+    fs.unlinkSync(wpConfigPath);
+  }
+
+  fs.writeFileSync(wpConfigPath, wpConfig);
+}
+
+// Explicar cómo se comparte wp-content con el contenedor
+function describeSyncMode(sync) {
+  const origin = sync.isDefault
+    ? "por defecto"
+    : "sync.mode en wpsite.config.js";
+
+  return sync.mode === "mount"
+    ? `montado en el contenedor, los cambios se ven al instante (mount, ${origin})`
+    : `copia en wordpress/wp-content con sincronización bidireccional (copy, ${origin})`;
+}
+
+// Modo mount: ./wp-content se monta sobre /var/www/html/wp-content, sin copia ni watcher
+function setupMountedContent(sync) {
+  const wpContentPath = "./wordpress/wp-content";
+  const backupPath = "./wordpress/wp-content-original";
+
+  const rules = SyncRules.getRules(sync);
+
+  console.log(chalk.blue("🔗 Montando wp-content del proyecto en el contenedor..."));
+  if (rules.sources.length > 0) {
+    console.log(
+      chalk.gray(
+        "   Las reglas de .wpsiteignore y sync.ignore solo se aplican en modo copy"
+      )
+    );
+  }
+
+  if (fs.existsSync(wpContentPath)) {
+    if (!fs.existsSync(backupPath)) {
+      console.log(
+        chalk.yellow("💾 Haciendo backup del wp-content original...")
+      );
+      fs.renameSync(wpContentPath, backupPath);
+    } else {
+      // Copia de una sesión anterior en modo copy: queda oculta tras el montaje,
+      // pero lo que solo existe en el contenedor se conserva para volver a modo copy
+      removeSyncedContent(wpContentPath, rules.toLocal);
+      if (fs.readdirSync(wpContentPath).length > 0) {
+        console.log(
+          chalk.yellow(
+            `⚠️ Se conservan en ${wpContentPath} archivos que solo existían en el contenedor (sync.toLocal); no estarán visibles en modo mount`
+          )
+        );
+      }
+    }
+  }
+
+  // Punto de montaje vacío dentro de ./wordpress
+  fs.mkdirSync(wpContentPath, { recursive: true });
+}
+
+// Configurar wp-content con sincronización inteligente CORREGIDA
+async function setupCustomContent(sync, spinner) {
+  const wpContentPath = "./wordpress/wp-content";
+  const sourceContentPath = "./wp-content";
+  const rules = SyncRules.getRules(sync);
+
+  console.log(chalk.blue("🔗 Configurando wp-content personalizado..."));
+
+  if (fs.existsSync(wpContentPath)) {
+    const backupPath = "./wordpress/wp-content-original";
+    if (!fs.existsSync(backupPath)) {
+      console.log(
+        chalk.yellow("💾 Haciendo backup del wp-content original...")
+      );
+      fs.renameSync(wpContentPath, backupPath);
+    } else {
+      // Copia de una sesión anterior: lo que no vuelve a local (p. ej. uploads/) solo existe aquí
+      removeSyncedContent(wpContentPath, rules.toLocal);
+    }
+  }
+
+  console.log(chalk.blue("📁 Copiando wp-content..."));
+  // Conservar las fechas permite reutilizar los hashes del índice para la copia
+  fs.cpSync(sourceContentPath, wpContentPath, {
+    recursive: true,
+    preserveTimestamps: true,
+    filter: (src) =>
+      !SyncConflicts.isConflictFile(src) &&
+      !SyncRules.isIgnored(
+        rules.toContainer,
+        path.relative(sourceContentPath, src),
+        isDirectory(src)
+      ),
+  });
+  if (rules.sources.length > 0) {
+    console.log(
+      chalk.gray(`   Reglas de sincronización: ${rules.sources.join(", ")}`)
+    );
+  }
+
+  // Configurar sincronización inteligente CORREGIDA
+  const { watcher, syncManager } = await setupUnifiedWatcher(
+    path.resolve(process.cwd(), "wp-content"), // Ruta absoluta completa
+    path.resolve(process.cwd(), "wordpress/wp-content"), // Ruta absoluta completa
+    rules,
+    spinner
+  );
+
+  // Guardar referencias globales para cleanup
+  global.wpContentWatcher = watcher;
+  global.wpContentSyncManager = syncManager;
+
+  if (fs.existsSync(wpContentPath + "/themes")) {
+    console.log(chalk.green("✅ wp-content configurado correctamente"));
+    console.log(chalk.blue("👀 Sincronización inteligente activada"));
+  } else {
+    throw new Error("wp-content no se configuró correctamente");
+  }
+}
+
+// Vaciar la copia de una sesión anterior conservando lo excluido de Contenedor→Local
+function removeSyncedContent(rootPath, rules, relativeDir = "") {
+  const dirPath = path.join(rootPath, relativeDir);
+
+  fs.readdirSync(dirPath, { withFileTypes: true }).forEach((item) => {
+    const relativePath = path.join(relativeDir, item.name);
+    const isDir = item.isDirectory();
+    if (SyncRules.isIgnored(rules, relativePath, isDir)) return;
+
+    if (!isDir) {
+      fs.rmSync(path.join(rootPath, relativePath), { force: true });
+      return;
+    }
+
+    removeSyncedContent(rootPath, rules, relativePath);
+    if (fs.readdirSync(path.join(rootPath, relativePath)).length === 0) {
+      fs.rmdirSync(path.join(rootPath, relativePath));
+    }
+  });
+}
+
+// Sistema de sincronización unificado e inteligente CORREGIDO
+async function setupUnifiedWatcher(sourcePath, targetPath, rules, spinner) {
+  const chokidar = require("chokidar");
+  const syncManager = new SyncManager(sourcePath, targetPath, rules);
+
+  // Inicializar hashes de archivos existentes
+  await initializeFileHashes(syncManager, spinner);
+
+  const watcher = chokidar.watch([sourcePath, targetPath], {
+    // Lo excluido en una sola dirección se vigila y se filtra en cada handler
+    ignored: (filePath, stats) =>
+      SyncConflicts.isConflictFile(filePath) ||
+      syncManager.isIgnoredEverywhere(
+        path.resolve(filePath),
+        stats ? stats.isDirectory() : isDirectory(filePath)
+      ),
+    persistent: true,
+    ignoreInitial: true,
+    awaitWriteFinish: {
+      stabilityThreshold: 1000,  // Esperar 1 segundo de estabilidad
+      pollInterval: 100
+    },
+  });
+
+  watcher.on("change", (filePath) => {
+    handleFileChange(filePath, syncManager);
+  });
+
+  watcher.on("add", async (filePath) => {
+    if (!(await handlePossibleRename(filePath, syncManager))) {
+      await handleFileChange(filePath, syncManager);
+    }
+  });
+
+  watcher.on("unlink", (filePath) => {
+    handleFileDelete(filePath, syncManager);
+  });
+
+  watcher.on("addDir", (dirPath) => {
+    handleDirAdd(dirPath, syncManager);
+  });
+
+  watcher.on("unlinkDir", (dirPath) => {
+    handleDirDelete(dirPath, syncManager);
+  });
+
+  return { watcher, syncManager };
+}
+
+// Manejar cambios de archivos CORREGIDO
+async function handleFileChange(filePath, syncManager) {
+  // Normalizar path para comparación
+  const normalizedPath = path.resolve(filePath);
+
+  if (syncManager.isIgnored(normalizedPath)) {
+    return;
+  }
+  
+  // Evitar loops: si el archivo está siendo sincronizado o fue sincronizado recientemente
+  if (syncManager.isFileLocked(normalizedPath)) {
+    return;
+  }
+
+  // Verificar si fue modificado muy recientemente por otra sincronización
+  if (syncManager.wasRecentlyModified(normalizedPath, 3000)) {
+    return;
+  }
+
+  // Verificar si realmente cambió el contenido
+  if (!(await syncManager.hasFileChanged(normalizedPath))) {
+    return;
+  }
+
+  // Determinar dirección del cambio
+  const isSourceFile = normalizedPath.startsWith(syncManager.sourcePath);
+  const direction = isSourceFile ? "source-to-target" : "target-to-source";
+
+  // Programar sincronización
+  scheduleSync(normalizedPath, direction, syncManager);
+}
+
+// Archivo eliminado: esperar un momento por si es un renombrado (llega un add con el mismo hash)
+function handleFileDelete(filePath, syncManager) {
+  const normalizedPath = path.resolve(filePath);
+  if (syncManager.isIgnored(normalizedPath)) {
+    return;
+  }
+
+  // Borrado hecho por la propia sincronización
+  if (syncManager.isFileLocked(normalizedPath)) {
+    syncManager.forgetFile(normalizedPath);
+    return;
+  }
+
+  // Cancelar una copia pendiente del archivo que ya no existe
+  ["source-to-target", "target-to-source"].forEach((direction) => {
+    const key = `${normalizedPath}-${direction}`;
+    if (syncManager.pendingOperations.has(key)) {
+      clearTimeout(syncManager.pendingOperations.get(key));
+      syncManager.pendingOperations.delete(key);
+    }
+  });
+
+  const hash = syncManager.fileHashes.get(normalizedPath);
+  const direction =
+    syncManager.getSide(normalizedPath) === "source"
+      ? "source-to-target"
+      : "target-to-source";
+  const key = `${syncManager.getSide(normalizedPath)}:${hash || normalizedPath}`;
+
+  const timeout = setTimeout(() => {
+    syncManager.pendingDeletes.delete(key);
+    performDelete(normalizedPath, hash, direction, syncManager);
+  }, 2500);
+
+  syncManager.pendingDeletes.set(key, { filePath: normalizedPath, hash, timeout });
+}
+
+// Archivo nuevo con el mismo contenido que uno recién eliminado en el mismo lado: es un renombrado
+async function handlePossibleRename(filePath, syncManager) {
+  const normalizedPath = path.resolve(filePath);
+  if (
+    syncManager.isFileLocked(normalizedPath) ||
+    syncManager.isIgnored(normalizedPath)
+  ) {
+    return false;
+  }
+
+  const hash = await syncManager.getFileHash(normalizedPath);
+  const key = `${syncManager.getSide(normalizedPath)}:${hash}`;
+  const pending = hash && syncManager.pendingDeletes.get(key);
+  if (!pending) {
+    return false;
+  }
+
+  clearTimeout(pending.timeout);
+  syncManager.pendingDeletes.delete(key);
+  performRename(pending.filePath, normalizedPath, hash, syncManager);
+  return true;
+}
+
+// Replicar un borrado en el otro lado (solo si la copia no tiene cambios propios)
+async function performDelete(filePath, hash, direction, syncManager) {
+  const { targetPath } = getSyncPaths(filePath, direction, syncManager);
+  syncManager.forgetFile(filePath);
+
+  try {
+    if (!fs.existsSync(targetPath) || fs.existsSync(filePath)) {
+      return;
+    }
+
+    if (hash && (await syncManager.getFileHash(targetPath)) !== hash) {
+      console.log(
+        chalk.yellow(
+          `⚠️ No se elimina ${path.relative(process.cwd(), targetPath)}: tiene cambios que no están en el otro lado`
+        )
+      );
+      return;
+    }
+
+    syncManager.lockFile(targetPath);
+    fs.rmSync(targetPath, { force: true });
+    syncManager.forgetFile(targetPath);
+
+    if (!syncManager.quiet) {
+      console.log(
+        chalk.red(
+          `✗ ${describeDirection(direction)}: eliminado ${path.relative(process.cwd(), filePath)}`
+        )
+      );
+    }
+  } catch (error) {
+    console.log(chalk.red(`Error en sync: ${error.message}`));
+  } finally {
+    setTimeout(() => syncManager.unlockFile(targetPath), 1000);
+  }
+}
+
+// Replicar un renombrado moviendo la copia del otro lado en vez de borrar y copiar
+async function performRename(oldPath, newPath, hash, syncManager) {
+  const direction =
+    syncManager.getSide(newPath) === "source"
+      ? "source-to-target"
+      : "target-to-source";
+  const oldTarget = getSyncPaths(oldPath, direction, syncManager).targetPath;
+  const newTarget = getSyncPaths(newPath, direction, syncManager).targetPath;
+
+  syncManager.lockFile(oldTarget);
+  syncManager.lockFile(newTarget);
+
+  try {
+    fs.mkdirSync(path.dirname(newTarget), { recursive: true });
+
+    if (
+      fs.existsSync(oldTarget) &&
+      (await syncManager.getFileHash(oldTarget)) === hash
+    ) {
+      fs.renameSync(oldTarget, newTarget);
+    } else {
+      fs.copyFileSync(newPath, newTarget);
+    }
+
+    syncManager.forgetFile(oldPath);
+    syncManager.forgetFile(oldTarget);
+    await syncManager.updateRelatedHashes(newPath, newTarget);
+
+    if (!syncManager.quiet) {
+      console.log(
+        chalk.green(
+          `↪ ${describeDirection(direction)}: ${path.relative(process.cwd(), oldPath)} → ${path.relative(process.cwd(), newPath)}`
+        )
+      );
+    }
+  } catch (error) {
+    console.log(chalk.red(`Error en sync: ${error.message}`));
+  } finally {
+    setTimeout(() => {
+      syncManager.unlockFile(oldTarget);
+      syncManager.unlockFile(newTarget);
+    }, 1000);
+  }
+}
+
+// Carpeta nueva: crearla también en el otro lado (los archivos llegan con sus propios eventos)
+function handleDirAdd(dirPath, syncManager) {
+  const normalizedPath = path.resolve(dirPath);
+  if (
+    syncManager.isFileLocked(normalizedPath) ||
+    syncManager.isIgnored(normalizedPath, true)
+  ) {
+    return;
+  }
+
+  const direction =
+    syncManager.getSide(normalizedPath) === "source"
+      ? "source-to-target"
+      : "target-to-source";
+  const { targetPath } = getSyncPaths(normalizedPath, direction, syncManager);
+
+  if (!fs.existsSync(targetPath)) {
+    syncManager.lockFile(targetPath);
+    try {
+      fs.mkdirSync(targetPath, { recursive: true });
+    } catch (error) {
+      console.log(chalk.red(`Error en sync: ${error.message}`));
+    } finally {
+      setTimeout(() => syncManager.unlockFile(targetPath), 1000);
+    }
+  }
+}
+
+// Carpeta eliminada: cuando terminen los borrados y renombrados de sus archivos,
+// eliminar la del otro lado si solo le quedan carpetas vacías
+function handleDirDelete(dirPath, syncManager) {
+  const normalizedPath = path.resolve(dirPath);
+  if (
+    syncManager.isFileLocked(normalizedPath) ||
+    syncManager.isIgnored(normalizedPath, true)
+  ) {
+    return;
+  }
+
+  const direction =
+    syncManager.getSide(normalizedPath) === "source"
+      ? "source-to-target"
+      : "target-to-source";
+  const { targetPath } = getSyncPaths(normalizedPath, direction, syncManager);
+
+  setTimeout(() => {
+    if (fs.existsSync(normalizedPath) || !fs.existsSync(targetPath)) {
+      return;
+    }
+
+    if (countFiles(targetPath) > 0) {
+      console.log(
+        chalk.yellow(
+          `⚠️ No se elimina ${path.relative(process.cwd(), targetPath)}: todavía contiene archivos`
+        )
+      );
+      return;
+    }
+
+    syncManager.lockFile(targetPath);
+    try {
+      fs.rmSync(targetPath, { recursive: true, force: true });
+    } catch (error) {
+      console.log(chalk.red(`Error en sync: ${error.message}`));
+      return;
+    } finally {
+      setTimeout(() => syncManager.unlockFile(targetPath), 1000);
+    }
+
+    if (!syncManager.quiet) {
+      console.log(
+        chalk.red(
+          `✗ ${describeDirection(direction)}: eliminada ${path.relative(process.cwd(), normalizedPath)}/`
+        )
+      );
+    }
+  }, 4000);
+}
+
+// Comprobar si una ruta es una carpeta (false si ya no existe)
+function isDirectory(filePath) {
+  try {
+    return fs.lstatSync(filePath).isDirectory();
+  } catch (error) {
+    return false;
+  }
+}
+
+// Contar archivos dentro de una carpeta (recursivo)
+function countFiles(dirPath) {
+  try {
+    return fs.readdirSync(dirPath, { withFileTypes: true }).reduce(
+      (total, item) =>
+        total +
+        (item.isDirectory() ? countFiles(path.join(dirPath, item.name)) : 1),
+      0
+    );
+  } catch (error) {
+    return 0;
+  }
+}
+
+function describeDirection(direction) {
+  return direction === "source-to-target"
+    ? "Local→Contenedor"
+    : "Contenedor→Local";
+}
+
+// Programar sincronización con debounce MEJORADO
+function scheduleSync(filePath, direction, syncManager) {
+  const key = `${filePath}-${direction}`;
+
+  // Cancelar operación pendiente si existe
+  if (syncManager.pendingOperations.has(key)) {
+    clearTimeout(syncManager.pendingOperations.get(key));
+  }
+
+  // Delay más largo para archivos del contenedor hacia local
+  const delay = direction === "target-to-source" ? 4000 : 2000;
+
+  const timeout = setTimeout(() => {
+    performSync(filePath, direction, syncManager);
+    syncManager.pendingOperations.delete(key);
+  }, delay);
+
+  syncManager.pendingOperations.set(key, timeout);
+}
+
+// Ejecutar sincronización COMPLETAMENTE CORREGIDO
+async function performSync(filePath, direction, syncManager) {
+  // Normalizar path al inicio
+  const normalizedFilePath = path.resolve(filePath);
+  
+  try {
+    // Verificar nuevamente si está locked (doble verificación)
+    if (syncManager.isFileLocked(normalizedFilePath)) {
+      return;
+    }
+
+    // Lock el archivo
+    syncManager.lockFile(normalizedFilePath);
+
+    const { sourcePath, targetPath } = getSyncPaths(
+      normalizedFilePath,
+      direction,
+      syncManager
+    );
+
+    // Verificar que el archivo origen existe y es estable
+    if (!await isFileStable(sourcePath)) {
+      return;
+    }
+
+    // Verificar que el contenido realmente cambió
+    if (!(await syncManager.hasFileChanged(sourcePath))) {
+      return;
+    }
+
+    // Los dos lados cambiaron desde la última sincronización: no sobrescribir ninguno
+    if (await syncManager.hasConflict(sourcePath, targetPath)) {
+      await resolveConflict(sourcePath, targetPath, direction, syncManager);
+      return;
+    }
+
+    // Crear directorio destino si no existe
+    const targetDir = path.dirname(targetPath);
+    if (!fs.existsSync(targetDir)) {
+      fs.mkdirSync(targetDir, { recursive: true });
+    }
+
+    // Copiar archivo
+    fs.copyFileSync(sourcePath, targetPath);
+
+    // Actualizar hashes para ambos archivos
+    await syncManager.updateRelatedHashes(sourcePath, targetPath);
+
+    // Log una sola vez con información clara
+    const relativePath = path.relative(process.cwd(), sourcePath);
+    const directionText = describeDirection(direction);
+    if (!syncManager.quiet) {
+      console.log(chalk.green(`✓ ${directionText}: ${relativePath}`));
+    }
+    
+  } catch (error) {
+    console.log(chalk.red(`Error en sync: ${error.message}`));
+  } finally {
+    // Liberar archivo después de un delay
+    setTimeout(() => {
+      syncManager.unlockFile(normalizedFilePath);
+    }, 1000);
+  }
+}
+
+// Conflicto: la versión local se queda en su sitio (y se copia al contenedor) y la del
+// contenedor se guarda junto a la local como archivo.conflict-<fecha> para revisarla
+async function resolveConflict(sourcePath, targetPath, direction, syncManager) {
+  const localPath = direction === "source-to-target" ? sourcePath : targetPath;
+  const containerPath =
+    direction === "source-to-target" ? targetPath : sourcePath;
+  const conflictPath = SyncConflicts.getConflictPath(localPath);
+
+  // El cambio del otro lado puede estar esperando su turno: ya no debe aplicarse
+  [
+    `${localPath}-source-to-target`,
+    `${containerPath}-target-to-source`,
+  ].forEach((key) => {
+    if (syncManager.pendingOperations.has(key)) {
+      clearTimeout(syncManager.pendingOperations.get(key));
+      syncManager.pendingOperations.delete(key);
+    }
+  });
+
+  syncManager.lockFile(localPath);
+  syncManager.lockFile(containerPath);
+
+  try {
+    fs.copyFileSync(containerPath, conflictPath, fs.constants.COPYFILE_EXCL);
+    fs.copyFileSync(localPath, containerPath);
+    await syncManager.updateRelatedHashes(localPath, containerPath);
+
+    console.log(
+      chalk.yellow(
+        `⚠️ Conflicto en ${path.relative(process.cwd(), localPath)}: cambió en local y en el contenedor`
+      )
+    );
+    console.log(
+      chalk.yellow(
+        `   Se mantiene la versión local; la del contenedor está en ${path.basename(conflictPath)}`
+      )
+    );
+    console.log(chalk.yellow("   Resuélvelo con: wpsite sync conflicts"));
+  } finally {
+    setTimeout(() => {
+      syncManager.unlockFile(localPath);
+      syncManager.unlockFile(containerPath);
+    }, 1000);
+  }
+}
+
+// Verificar si un archivo está estable (no está siendo modificado)
+async function isFileStable(filePath, maxAttempts = 3) {
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    try {
+      if (!fs.existsSync(filePath)) {
+        return false;
+      }
+
+      const stats1 = fs.statSync(filePath);
+      if (stats1.size === 0) {
+        await new Promise(resolve => setTimeout(resolve, 500));
+        continue;
+      }
+
+      // Esperar un poco y verificar que no cambió
+      await new Promise(resolve => setTimeout(resolve, 500));
+
+      if (!fs.existsSync(filePath)) {
+        return false;
+      }
+
+      const stats2 = fs.statSync(filePath);
+      
+      // Verificar que tamaño y fecha de modificación son iguales
+      if (stats1.size === stats2.size && 
+          stats1.mtime.getTime() === stats2.mtime.getTime()) {
+        return true;
+      }
+
+    } catch (error) {
+      // Si hay error, el archivo podría estar siendo modificado
+    }
+
+    if (attempt < maxAttempts) {
+      await new Promise(resolve => setTimeout(resolve, 1000));
+    }
+  }
+  
+  return false;
+}
+
+// Obtener rutas de origen y destino según la dirección COMPLETAMENTE CORREGIDO
+function getSyncPaths(filePath, direction, syncManager) {
+  const normalizedFilePath = path.resolve(filePath);
+  const normalizedSourcePath = path.resolve(syncManager.sourcePath);
+  const normalizedTargetPath = path.resolve(syncManager.targetPath);
+
+  if (direction === "source-to-target") {
+    // Local → Contenedor
+    const relativePath = path.relative(normalizedSourcePath, normalizedFilePath);
+    return {
+      sourcePath: normalizedFilePath,
+      targetPath: path.resolve(normalizedTargetPath, relativePath),
+    };
+  } else {
+    // Contenedor → Local
+    const relativePath = path.relative(normalizedTargetPath, normalizedFilePath);
+    return {
+      sourcePath: normalizedFilePath, // El archivo modificado en el contenedor
+      targetPath: path.resolve(normalizedSourcePath, relativePath), // Su equivalente en local
+    };
+  }
+}
+
+// Inicializar hashes de archivos existentes (sin recorrer lo excluido en ambas direcciones)
+// Solo se leen los archivos nuevos o modificados desde el último arranque (índice en .wpsite/sync)
+async function initializeFileHashes(syncManager, spinner) {
+  // Recorrido con una pila: con cientos de miles de archivos, push(...) de cada
+  // subcarpeta supera el máximo de argumentos (RangeError)
+  const getAllFiles = async (root) => {
+    const files = [];
+    const dirs = fs.existsSync(root) ? [root] : [];
+
+    while (dirs.length > 0) {
+      const dir = dirs.pop();
+      let items;
+      try {
+        items = await fs.promises.readdir(dir, { withFileTypes: true });
+      } catch (error) {
+        continue; // Ignorar errores de permisos
+      }
+
+      for (const item of items) {
+        const fullPath = path.join(dir, item.name);
+        if (syncManager.isIgnoredEverywhere(fullPath, item.isDirectory())) {
+          continue;
+        }
+        if (item.isDirectory() && !item.name.startsWith(".")) {
+          dirs.push(fullPath);
+        } else if (item.isFile()) {
+          files.push(fullPath);
+        }
+      }
+    }
+    return files;
+  };
+
+  const previousText = spinner ? spinner.text : null;
+  if (spinner) spinner.text = "Buscando archivos de wp-content...";
+
+  // Inicializar hashes de archivos existentes
+  const sourceFiles = await getAllFiles(syncManager.sourcePath);
+  const targetFiles = await getAllFiles(syncManager.targetPath);
+
+  syncManager.hasher.load();
+  const hashes = await syncManager.hasher.hashAll(
+    [...sourceFiles, ...targetFiles],
+    (done, total) => {
+      if (spinner) {
+        spinner.text = `Indexando wp-content... ${done}/${total} archivos`;
+      }
+    }
+  );
+
+  hashes.forEach((hash, file) => {
+    if (hash) {
+      syncManager.fileHashes.set(file, hash);
+      syncManager.lastSyncTime.set(file, Date.now());
+    }
+  });
+  syncManager.hasher.save();
+
+  if (spinner) spinner.text = previousText;
+  const { cached, hashed } = syncManager.hasher.stats;
+  console.log(
+    chalk.gray(
+      `   Índice de sincronización: ${hashes.size} archivos (${hashed} leídos, ${cached} sin cambios)`
+    )
+  );
+}
+
+// Iniciar contenedor Docker principal
+async function startDockerContainer(
+  spinner,
+  port,
+  project,
+  database,
+  phpVersion,
+  sync,
+  extraArgs = []
+) {
+  spinner.text = "Iniciando contenedor Docker...";
+
+  return new Promise(async (resolve, reject) => {
+    const containerName = getContainerName(project);
+
+    try {
+      // Limpiar contenedor existente
+      await cleanupExistingContainer(containerName);
+
+      console.log(chalk.blue("🧹 Limpiando contenedores existentes..."));
+
+      // Iniciar contenedor con imagen personalizada
+      const dockerArgs = [
+        "run",
+        "-d",
+        "--name",
+        containerName,
+        "--rm",
+        "-p",
+        `${port}:80`,
+        ...DockerHelper.buildProjectLabels(project, "wordpress", {
+          "wpsite.port": port,
+        }),
+        "-v",
+        `${process.cwd()}/wordpress:/var/www/html`,
+      ];
+
+      // Modo mount: el wp-content del proyecto sustituye al de ./wordpress
+      if (sync && sync.mode === "mount") {
+        dockerArgs.push(
+          "-v",
+          `${process.cwd()}/wp-content:/var/www/html/wp-content`
+        );
+      }
+
+      // Conectar a la red de la base de datos local
+      if (database && database.mode === "local") {
+        dockerArgs.push("--network", database.networkName);
+      }
+
+      dockerArgs.push(...extraArgs);
+
+      dockerArgs.push(ImageHelper.getImageTag(phpVersion));
+
+      const containerStart = spawn("docker", dockerArgs, { stdio: "pipe" });
+
+      let containerId = "";
+      let errorOutput = "";
+
+      containerStart.stdout.on("data", (data) => {
+        containerId += data.toString().trim();
+      });
+
+      containerStart.stderr.on("data", (data) => {
+        errorOutput += data.toString();
+      });
+
+      containerStart.on("close", (code) => {
+        if (code === 0 && containerId) {
+          console.log(
+            chalk.blue(
+              `🐳 Contenedor iniciado: ${containerId.substring(0, 12)}`
+            )
+          );
+          resolve(containerId);
+        } else {
+          reject(new Error(`Error iniciando contenedor: ${errorOutput}`));
+        }
+      });
+    } catch (error) {
+      reject(error);
+    }
+  });
+}
+
+// Nombre del contenedor de WordPress (único por proyecto)
+function getContainerName(project) {
+  return `wpsite-dev-${project.id}`;
+}
+
+async function cleanupExistingContainer(containerName) {
+  return new Promise((resolve) => {
+    exec(`docker stop ${containerName} 2>/dev/null`, () => {
+      exec(`docker rm ${containerName} 2>/dev/null`, () => {
+        resolve();
+      });
+    });
+  });
+}
+
+// Esperar a que WordPress esté disponible
+async function waitForWordPress(
+  spinner,
+  port,
+  health,
+  containerName,
+  syncMode
+) {
+  spinner.text = "Esperando a que WordPress esté listo...";
+
+  const result = await HealthCheck.waitUntilReady(
+    port,
+    health,
+    (attempt, lastResult) => {
+      const detail = lastResult.error
+        ? lastResult.error.code || lastResult.error.message
+        : `HTTP ${lastResult.status}`;
+      spinner.text = `Esperando WordPress... (${attempt}/${health.retries}, ${detail})`;
+    }
+  );
+
+  if (result.ready) {
+    console.log(chalk.green("\n✅ WordPress está respondiendo"));
+    return;
+  }
+
+  // Diagnóstico: últimas líneas del contenedor y de debug.log
+  const containerRunning = await DockerHelper.isContainerRunning(containerName);
+  let entries = LogHelper.readDebugLog({ tail: 20, syncMode });
+  try {
+    entries = entries.concat(await LogHelper.readContainerLogs(containerName, { tail: 20 }));
+  } catch (error) {
+    // El contenedor ya no existe (se inicia con --rm)
+  }
+  entries.sort((a, b) => (a.time || 0) - (b.time || 0));
+
+  const diagnosis = HealthCheck.diagnose(result, {
+    health,
+    containerRunning,
+    logLines: entries.map((entry) => entry.text),
+  });
+
+  console.log(
+    chalk.yellow(
+      `\n⚠️ WordPress no respondió en http://localhost:${port}${health.path} tras ${result.attempts} intentos`
+    )
+  );
+  console.log(chalk.red(`   ${diagnosis.reason}`));
+  console.log(chalk.blue(`   💡 ${diagnosis.hint}`));
+
+  if (entries.length > 0) {
+    console.log(chalk.gray("\n   Últimas líneas de log:"));
+    entries.slice(-20).forEach((entry) => console.log(`   ${LogHelper.format(entry)}`));
+  }
+  console.log(chalk.yellow("\n   Continuando de todos modos..."));
+}
+
+// Detener contenedor Docker mejorado
+async function stopDockerContainer(containerId) {
+  return new Promise((resolve) => {
+    console.log(chalk.yellow("🛑 Deteniendo contenedor..."));
+
+    const stopCmd = spawn("docker", ["stop", "-t", "10", containerId], {
+      stdio: "pipe",
+    });
+
+    stopCmd.on("close", (code) => {
+      if (code === 0) {
+        console.log(chalk.green("✅ Contenedor detenido"));
+      } else {
+        console.log(chalk.yellow("⚠️ Forzando detención del contenedor..."));
+        const killCmd = spawn("docker", ["kill", containerId], {
+          stdio: "pipe",
+        });
+        killCmd.on("close", () => {
+          console.log(chalk.green("✅ Contenedor forzado a detenerse"));
+        });
+      }
+
+      setTimeout(() => {
+        const removeCmd = spawn("docker", ["rm", "-f", containerId], {
+          stdio: "pipe",
+        });
+        removeCmd.on("close", () => {
+          resolve();
+        });
+      }, 1000);
+    });
+  });
+}
+
+module.exports.restoreLocalUrls = restoreLocalUrls;
@@ -0,0 +1,92 @@
+const chalk = require('chalk');
+const ConfigHelper = require('../utils/config-helper');
+const DockerHelper = require('../utils/docker-helper');
+const ImageHelper = require('../utils/image-helper');
+
+// wpsite image build: construir la imagen del proyecto solo si falta o está desactualizada
+async function build(options = {}) {
+  const phpVersion = await resolvePhpVersion(options);
+
+  try {
+    const built = await ImageHelper.ensureImage(phpVersion);
+    if (!built) {
+      console.log(chalk.green(`✅ ${ImageHelper.getImageTag(phpVersion)} ya está actualizada`));
+      console.log(chalk.gray('   Fuerza la reconstrucción con: wpsite image rebuild'));
+    }
+  } catch (error) {
+    console.error(chalk.red(`❌ Error: ${error.message}`));
+    process.exit(1);
+  }
+}
+
+// wpsite image rebuild: reconstruir siempre
+async function rebuild(options = {}) {
+  const phpVersion = await resolvePhpVersion(options);
+
+  try {
+    await ImageHelper.build(phpVersion, { noCache: options.noCache });
+    console.log(chalk.blue('💡 Reinicia wpsite dev para usar la nueva imagen'));
+  } catch (error) {
+    console.error(chalk.red(`❌ Error: ${error.message}`));
+    process.exit(1);
+  }
+}
+
+// wpsite image prune: eliminar builds antiguas y variantes desactualizadas
+async function prune(options = {}) {
+  await requireDocker();
+
+  const images = await ImageHelper.findPrunableImages(options.all);
+  if (images.length === 0) {
+    console.log(chalk.green('✅ No hay imágenes de wpsite que limpiar'));
+    return;
+  }
+
+  let removed = 0;
+  for (const image of images) {
+    const label = image.tag || image.id;
+    try {
+      await ImageHelper.removeImage(image.id);
+      removed++;
+      console.log(chalk.green(`🗑️  ${label} (${image.reason})`));
+    } catch (error) {
+      console.log(chalk.yellow(`⚠️ No se pudo eliminar ${label}: ${error.message}`));
+    }
+  }
+
+  console.log(chalk.blue(`\n🧹 ${removed} de ${images.length} imágenes eliminadas`));
+  if (removed < images.length) {
+    console.log(chalk.gray('   Las imágenes en uso se liberan al detener su entorno (wpsite stop)'));
+  }
+}
+
+async function resolvePhpVersion(options) {
+  await requireDocker();
+
+  let config = {};
+  try {
+    config = ConfigHelper.load();
+  } catch (error) {
+    // Sin wpsite.config.js: versión de PHP por defecto
+  }
+
+  try {
+    return ImageHelper.resolvePhpVersion(config, options);
+  } catch (error) {
+    console.error(chalk.red(`❌ ${error.message}`));
+    process.exit(1);
+  }
+}
+
+async function requireDocker() {
+  if (!await DockerHelper.checkDockerAvailable()) {
+    console.error(chalk.red('❌ Docker no está disponible'));
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  build,
+  rebuild,
+  prune
+};
@@ -1,233 +1,314 @@
-const fs = require('fs');
-const path = require('path');
-const chalk = require('chalk');
-const { exec } = require('child_process');
-
-module.exports = () => {
-  console.log(chalk.blue('🔧 Inicializando configuración de wpsite...\n'));
-
-  // Verificar si ya existe configuración
-  if (fs.existsSync('./wpsite.config.js')) {
-    console.log(chalk.yellow('⚠️  wpsite.config.js ya existe'));
-    console.log(chalk.blue('   Para reconfigurar, elimina el archivo existente y ejecuta init nuevamente'));
-    console.log(chalk.gray('   rm wpsite.config.js && wpsite init'));
-    return;
-  }
-
-  // Verificar que existe wp-content
-  if (!fs.existsSync('./wp-content')) {
-    console.log(chalk.red('❌ No se encontró la carpeta wp-content/'));
-    console.log(chalk.yellow('   Asegúrate de estar en el directorio raíz de tu proyecto WordPress'));
-    console.log(chalk.blue('\n📋 Estructura esperada:'));
-    console.log(chalk.gray('   mi-proyecto/'));
-    console.log(chalk.gray('   ├── wp-content/'));
-    console.log(chalk.gray('   │   ├── themes/'));
-    console.log(chalk.gray('   │   └── plugins/'));
-    console.log(chalk.gray('   └── wpsite.config.js (se creará)'));
-    console.log(chalk.blue('\n🚀 Ejemplo de setup:'));
-    console.log(chalk.gray('     git clone tu-repo-wp.git mi-proyecto'));
-    console.log(chalk.gray('     cd mi-proyecto'));
-    console.log(chalk.gray('     wpsite init'));
-    return;
-  }
-
-  // Detectar información del proyecto automáticamente
-  const projectInfo = detectProjectInfo();
-
-  // Crear archivo de configuración
-  const configTemplate = generateConfigTemplate(projectInfo);
-
-  try {
-    fs.writeFileSync('./wpsite.config.js', configTemplate);
-    
-    console.log(chalk.green('✅ wpsite.config.js creado exitosamente'));
-    
-    // Mostrar información del proyecto detectado
-    if (projectInfo.name) {
-      console.log(chalk.blue(`📁 Proyecto detectado: ${projectInfo.name}`));
-    }
-    if (projectInfo.themes.length > 0) {
-      console.log(chalk.blue(`🎨 Temas encontrados: ${projectInfo.themes.join(', ')}`));
-    }
-    if (projectInfo.plugins.length > 0) {
-      console.log(chalk.blue(`🔌 Plugins encontrados: ${projectInfo.plugins.length} plugins`));
-    }
-
-    console.log(chalk.yellow('\n📝 Pasos siguientes:'));
-    console.log(chalk.blue('   1. Edita wpsite.config.js con los datos de tu base de datos'));
-    console.log(chalk.blue('   2. Ejecuta: wpsite dev'));
-    console.log(chalk.blue('   3. Opcional: wpsite dev --tunel (para acceso público)'));
-    
-    console.log(chalk.yellow('\n💡 Ejemplo de configuración de BD:'));
-    console.log(chalk.gray('   database: {'));
-    console.log(chalk.gray('     host: "mysql.miservidor.com",'));
-    console.log(chalk.gray('     name: "wordpress_db",'));
-    console.log(chalk.gray('     user: "wp_user",'));
-    console.log(chalk.gray('     password: "mi_password_seguro"'));
-    console.log(chalk.gray('   }'));
-    
-    console.log(chalk.yellow('\n🔒 Nota de seguridad:'));
-    console.log(chalk.yellow('    wpsite.config.js contiene credenciales sensibles.'));
-    console.log(chalk.yellow('    Asegúrate de que esté en tu .gitignore'));
-    
-    // Verificar si existe .gitignore y sugerir agregarlo
-    checkGitIgnore();
-    
-  } catch (error) {
-    console.error(chalk.red('❌ Error creando wpsite.config.js:'), error.message);
-    process.exit(1);
-  }
-};
-
-// Detectar información del proyecto automáticamente
-function detectProjectInfo() {
-  const info = {
-    name: '',
-    themes: [],
-    plugins: [],
-    hasGit: false,
-    gitRemote: ''
-  };
-
-  // Detectar nombre del proyecto desde package.json o directorio
-  try {
-    if (fs.existsSync('./package.json')) {
-      const packageJson = JSON.parse(fs.readFileSync('./package.json', 'utf8'));
-      info.name = packageJson.name || path.basename(process.cwd());
-    } else {
-      info.name = path.basename(process.cwd());
-    }
-  } catch (error) {
-    info.name = path.basename(process.cwd());
-  }
-
-  // Detectar temas
-  try {
-    const themesDir = './wp-content/themes';
-    if (fs.existsSync(themesDir)) {
-      const themes = fs.readdirSync(themesDir, { withFileTypes: true })
-        .filter(dirent => dirent.isDirectory())
-        .map(dirent => dirent.name)
-        .filter(name => !name.startsWith('.') && !name.startsWith('twenty')); // Excluir temas por defecto
-      info.themes = themes;
-    }
-  } catch (error) {
-    // Ignorar errores
-  }
-
-  // Detectar plugins
-  try {
-    const pluginsDir = './wp-content/plugins';
-    if (fs.existsSync(pluginsDir)) {
-      const plugins = fs.readdirSync(pluginsDir, { withFileTypes: true })
-        .filter(dirent => dirent.isDirectory())
-        .map(dirent => dirent.name)
-        .filter(name => !name.startsWith('.') && name !== 'akismet' && name !== 'hello.php');
-      info.plugins = plugins;
-    }
-  } catch (error) {
-    // Ignorar errores
-  }
-
-  // Detectar información de Git
-  try {
-    if (fs.existsSync('./.git')) {
-      info.hasGit = true;
-      // Intentar obtener remote origin
-      exec('git remote get-url origin', (error, stdout) => {
-        if (!error) {
-          info.gitRemote = stdout.trim();
-        }
-      });
-    }
-  } catch (error) {
-    // Ignorar errores
-  }
-
-  return info;
-}
-
-// Generar template de configuración personalizado
-function generateConfigTemplate(projectInfo) {
-  const template = `module.exports = {
-  // === INFORMACIÓN DEL PROYECTO ===
-  name: "${projectInfo.name}",
-  
-  // === CONFIGURACIÓN DE BASE DE DATOS REMOTA ===
-  database: {
-    host: "tu-servidor-remoto.com",     // Cambia por tu servidor MySQL
-    name: "nombre_de_tu_bd",            // Cambia por el nombre de tu base de datos
-    user: "usuario_bd",                 // Cambia por tu usuario de MySQL
-    password: "tu_password_aqui",       // Cambia por tu contraseña
-    tablePrefix: "wp_"                  // Prefijo de tablas (normalmente wp_)
-  },
-  
-  // === CONFIGURACIÓN DEL SERVIDOR LOCAL ===
-  server: {
-    port: 8080                          // Puerto por defecto (puedes cambiarlo)
-  },
-  
-  // === CONFIGURACIÓN OPCIONAL ===
-  // Proxy para archivos remotos (opcional)
-  proxy: {
-    uploads: "https://tu-sitio-remoto.com/wp-content/uploads"
-  },
-  
-  // === INFORMACIÓN DETECTADA AUTOMÁTICAMENTE ===
-  project: {
-    themes: ${JSON.stringify(projectInfo.themes, null, 4)},
-    plugins: ${JSON.stringify(projectInfo.plugins, null, 4)},
-    hasGit: ${projectInfo.hasGit}${projectInfo.gitRemote ? `,
-    gitRemote: "${projectInfo.gitRemote}"` : ''}
-  }
-};
-
-/*
- * INSTRUCCIONES:
- * 
- * 1. OBLIGATORIO - Configurar base de datos:
- *    Edita la sección 'database' con los datos de tu servidor MySQL remoto
- * 
- * 2. OPCIONAL - Cambiar puerto:
- *    Si el puerto 8080 está ocupado, cambia 'server.port'
- * 
- * 3. OPCIONAL - Proxy de uploads:
- *    Si tienes imágenes en tu sitio remoto, configura 'proxy.uploads'
- * 
- * 4. SEGURIDAD:
- *    Este archivo contiene credenciales sensibles.
- *    NO lo subas a Git. Debe estar en .gitignore
- * 
- * 5. TESTING:
- *    Después de configurar, ejecuta: wpsite dev
- */`;
-
-  return template;
-}
-
-// Verificar y sugerir .gitignore
-function checkGitIgnore() {
-  const gitignorePath = './.gitignore';
-  const configLine = 'wpsite.config.js';
-  
-  try {
-    if (fs.existsSync(gitignorePath)) {
-      const gitignoreContent = fs.readFileSync(gitignorePath, 'utf8');
-      
-      if (!gitignoreContent.includes(configLine)) {
-        console.log(chalk.yellow('\n⚠️  Recomendación de seguridad:'));
-        console.log(chalk.blue('   Agrega wpsite.config.js a tu .gitignore'));
-        console.log(chalk.gray(`   echo "${configLine}" >> .gitignore`));
-      } else {
-        console.log(chalk.green('\n✅ wpsite.config.js ya está en .gitignore'));
-      }
-    } else {
-      console.log(chalk.yellow('\n💡 Considera crear un .gitignore:'));
-      console.log(chalk.gray('   echo "wpsite.config.js" > .gitignore'));
-      console.log(chalk.gray('   echo "wordpress/" >> .gitignore'));
-      console.log(chalk.gray('   echo "node_modules/" >> .gitignore'));
-    }
-  } catch (error) {
-    // Ignorar errores de .gitignore
-  }
+const fs = require('fs');
+const path = require('path');
+const chalk = require('chalk');
+const { exec } = require('child_process');
+
+module.exports = () => {
+  console.log(chalk.blue('🔧 Inicializando configuración de wpsite...\n'));
+
+  // Verificar si ya existe configuración
+  if (fs.existsSync('./wpsite.config.js')) {
+    console.log(chalk.yellow('⚠️  wpsite.config.js ya existe'));
+    console.log(chalk.blue('   Para reconfigurar, elimina el archivo existente y ejecuta init nuevamente'));
+    console.log(chalk.gray('   rm wpsite.config.js && wpsite init'));
+    return;
+  }
+
+  // Verificar que existe wp-content
+  if (!fs.existsSync('./wp-content')) {
+    console.log(chalk.red('❌ No se encontró la carpeta wp-content/'));
+    console.log(chalk.yellow('   Asegúrate de estar en el directorio raíz de tu proyecto WordPress'));
+    console.log(chalk.blue('\n📋 Estructura esperada:'));
+    console.log(chalk.gray('   mi-proyecto/'));
+    console.log(chalk.gray('   ├── wp-content/'));
+    console.log(chalk.gray('   │   ├── themes/'));
+    console.log(chalk.gray('   │   └── plugins/'));
+    console.log(chalk.gray('   └── wpsite.config.js (se creará)'));
+    console.log(chalk.blue('\n🚀 Ejemplo de setup:'));
+    console.log(chalk.gray('     git clone tu-repo-wp.git mi-proyecto'));
+    console.log(chalk.gray('     cd mi-proyecto'));
+    console.log(chalk.gray('     wpsite init'));
+    return;
+  }
+
+  // Detectar información del proyecto automáticamente
+  const projectInfo = detectProjectInfo();
+
+  // Crear archivo de configuración
+  const configTemplate = generateConfigTemplate(projectInfo);
+
+  try {
+    fs.writeFileSync('./wpsite.config.js', configTemplate);
+    
+    console.log(chalk.green('✅ wpsite.config.js creado exitosamente'));
+    
+    // Mostrar información del proyecto detectado
+    if (projectInfo.name) {
+      console.log(chalk.blue(`📁 Proyecto detectado: ${projectInfo.name}`));
+    }
+    if (projectInfo.themes.length > 0) {
+      console.log(chalk.blue(`🎨 Temas encontrados: ${projectInfo.themes.join(', ')}`));
+    }
+    if (projectInfo.plugins.length > 0) {
+      console.log(chalk.blue(`🔌 Plugins encontrados: ${projectInfo.plugins.length} plugins`));
+    }
+
+    console.log(chalk.yellow('\n📝 Pasos siguientes:'));
+    console.log(chalk.blue('   1. Edita wpsite.config.js con los datos de tu base de datos'));
+    console.log(chalk.blue('   2. Ejecuta: wpsite dev'));
+    console.log(chalk.blue('   3. Opcional: wpsite dev --tunel (para acceso público)'));
+    
+    console.log(chalk.yellow('\n💡 Ejemplo de configuración de BD:'));
+    console.log(chalk.gray('   database: {'));
+    console.log(chalk.gray('     host: "mysql.miservidor.com",'));
+    console.log(chalk.gray('     name: "wordpress_db",'));
+    console.log(chalk.gray('     user: "wp_user",'));
+    console.log(chalk.gray('     password: "mi_password_seguro"'));
+    console.log(chalk.gray('   }'));
+    
+    console.log(chalk.yellow('\n🔒 Nota de seguridad:'));
+    console.log(chalk.yellow('    wpsite.config.js contiene credenciales sensibles.'));
+    console.log(chalk.yellow('    Asegúrate de que esté en tu .gitignore'));
+    
+    // Verificar si existe .gitignore y sugerir agregarlo
+    checkGitIgnore();
+    
+  } catch (error) {
+    console.error(chalk.red('❌ Error creando wpsite.config.js:'), error.message);
+    process.exit(1);
+  }
+};
+
+// Detectar información del proyecto automáticamente
+function detectProjectInfo() {
+  const info = {
+    name: '',
+    themes: [],
+    plugins: [],
+    hasGit: false,
+    gitRemote: ''
+  };
+
+  // Detectar nombre del proyecto desde package.json o directorio
+  try {
+    if (fs.existsSync('./package.json')) {
+      const packageJson = JSON.parse(fs.readFileSync('./package.json', 'utf8'));
+      info.name = packageJson.name || path.basename(process.cwd());
+    } else {
+      info.name = path.basename(process.cwd());
+    }
+  } catch (error) {
+    info.name = path.basename(process.cwd());
+  }
+
+  // Detectar temas
+  try {
+    const themesDir = './wp-content/themes';
+    if (fs.existsSync(themesDir)) {
+      const themes = fs.readdirSync(themesDir, { withFileTypes: true })
+        .filter(dirent => dirent.isDirectory())
+        .map(dirent => dirent.name)
+        .filter(name => !name.startsWith('.') && !name.startsWith('twenty')); // Excluir temas por defecto
+      info.themes = themes;
+    }
+  } catch (error) {
+    // Ignorar errores
+  }
+
+  // Detectar plugins
+  try {
+    const pluginsDir = './wp-content/plugins';
+    if (fs.existsSync(pluginsDir)) {
+      const plugins = fs.readdirSync(pluginsDir, { withFileTypes: true })
+        .filter(dirent => dirent.isDirectory())
+        .map(dirent => dirent.name)
+        .filter(name => !name.startsWith('.') && name !== 'akismet' && name !== 'hello.php');
+      info.plugins = plugins;
+    }
+  } catch (error) {
+    // Ignorar errores
+  }
+
+  // Detectar información de Git
+  try {
+    if (fs.existsSync('./.git')) {
+      info.hasGit = true;
+      // Intentar obtener remote origin
+      exec('git remote get-url origin', (error, stdout) => {
+        if (!error) {
+          info.gitRemote = stdout.trim();
+        }
+      });
+    }
+  } catch (error) {
+    // Ignorar errores
+  }
+
+  return info;
+}
+
+// Generar template de configuración personalizado
+function generateConfigTemplate(projectInfo) {
+  const template = `module.exports = {
+  // === INFORMACIÓN DEL PROYECTO ===
+  name: "${projectInfo.name}",
+  
+  // === CONFIGURACIÓN DE BASE DE DATOS REMOTA ===
+  database: {
+    mode: "remote",                     // "remote" o "local" (MariaDB en Docker)
+    host: "tu-servidor-remoto.com",     // Cambia por tu servidor MySQL
+    name: "nombre_de_tu_bd",            // Cambia por el nombre de tu base de datos
+    user: "usuario_bd",                 // Cambia por tu usuario de MySQL
+    password: "tu_password_aqui",       // Cambia por tu contraseña
+    tablePrefix: "wp_",                 // Prefijo de tablas (normalmente wp_)
+    remoteUrl: ""                       // URL del sitio remoto para wpsite db push (opcional)
+  },
+  
+  // === VERSIÓN DE WORDPRESS ===
+  wordpress: {
+    version: "latest"                   // "latest" o una versión exacta, p. ej. "6.4.3"
+  },
+  
+  // === VERSIÓN DE PHP ===
+  php: {
+    version: "8.2",                     // Imagen base: wordpress:php<version>-apache
+    ini: {
+      // memory_limit: "512M",          // Directivas de php.ini para este proyecto
+      // upload_max_filesize: "128M"
+    }
+  },
+  
+  // Xdebug (wpsite dev --xdebug lo activa puntualmente)
+  xdebug: {
+    enabled: false,                     // true = activarlo siempre
+    port: 9003                          // Puerto en el que escucha el IDE
+  },
+  
+  // Configuración extra de Apache (opcional)
+  apache: {
+    config: []                          // Fragmentos de configuración, p. ej. "LimitRequestBody 0"
+  },
+  
+  // === CONFIGURACIÓN DEL SERVIDOR LOCAL ===
+  server: {
+    port: 8080,                         // Puerto por defecto (puedes cambiarlo)
+    healthCheck: {
+      path: "/",                        // URL que se comprueba al arrancar
+      expectedStatus: [200, 301, 302],  // Códigos que indican que WordPress está listo
+      timeout: 5000,                    // ms por intento
+      retries: 30                       // Intentos (uno por segundo)
+    }
+  },
+  
+  // Cómo llega wp-content al contenedor
+  sync: {
+    // mode: "copy",                    // "copy" (por defecto) o "mount" (montaje directo)
+    ignore: [],                         // Patrones .gitignore que no se sincronizan (modo copy)
+    include: [],                        // Excepciones que sí se sincronizan
+    toLocal: {
+      ignore: []                        // Solo Contenedor→Local, p. ej. "uploads/", "debug.log"
+    }
+  },
+  
+  // === CONFIGURACIÓN OPCIONAL ===
+  // Proxy para archivos remotos (opcional)
+  proxy: {
+    uploads: "https://tu-sitio-remoto.com/wp-content/uploads",
+    cache: false                        // true = guardar copias en .wpsite/uploads-cache
+  },
+  
+  // Túnel público para wpsite dev --tunel (ngrok, cloudflared o custom)
+  tunnel: {
+    provider: "ngrok"
+    // Para custom: command: "mi-tunel --port {port}", urlPattern: "https://[^\\s]+"
+  },
+  
+  // === INFORMACIÓN DETECTADA AUTOMÁTICAMENTE ===
+  project: {
+    themes: ${JSON.stringify(projectInfo.themes, null, 4)},
+    plugins: ${JSON.stringify(projectInfo.plugins, null, 4)},
+    hasGit: ${projectInfo.hasGit}${projectInfo.gitRemote ? `,
+    gitRemote: "${projectInfo.gitRemote}"` : ''}
+  }
+};
+
+/*
+ * INSTRUCCIONES:
+ * 
+ * 1. OBLIGATORIO - Configurar base de datos:
+ *    Edita la sección 'database' con los datos de tu servidor MySQL remoto
+ * 
+ *    Usa database.mode = "local" (o wpsite dev --local-db) para trabajar con
+ *    una base de datos MariaDB en Docker. Los datos persisten en un volumen y
+ *    puedes personalizarla con database.local: { name, user, password, image }
+ * 
+ * 2. OPCIONAL - Cambiar puerto:
+ *    Si el puerto 8080 está ocupado, cambia 'server.port'
+ *    Si WordPress tarda en arrancar (p. ej. base de datos remota lenta),
+ *    ajusta 'server.healthCheck'. Si falla, wpsite dev muestra un diagnóstico
+ * 
+ *    'sync.mode' decide cómo se usa tu wp-content: "copy" (por defecto)
+ *    trabaja sobre una copia sincronizada en wordpress/wp-content y "mount"
+ *    lo monta tal cual en el contenedor (cambios al instante, lento en macOS/Windows)
+ *    En modo copy, excluye archivos con un .wpsiteignore (sintaxis de
+ *    .gitignore) o con 'sync.ignore'; 'sync.toLocal' y 'sync.toContainer'
+ *    añaden reglas para una sola dirección
+ * 
+ * 3. OPCIONAL - Proxy de uploads:
+ *    Si tienes imágenes en tu sitio remoto, configura 'proxy.uploads'.
+ *    Los archivos que no existan en local se cargarán desde esa URL.
+ *    Con 'proxy.cache: true' se guardan para poder trabajar sin conexión
+ * 
+ * 4. OPCIONAL - Versión de WordPress:
+ *    La versión instalada se registra en wpsite.lock.json (súbelo a Git).
+ *    Cambia de versión con: wpsite core switch 6.4.3
+ * 
+ *    Cambia 'php.version' (7.4, 8.0, 8.1, 8.2, 8.3) para usar otra versión de
+ *    PHP. Cada versión tiene su imagen (wpsite-wordpress:php8.1) y se construye
+ *    automáticamente la primera vez que se usa
+ * 
+ *    Ajusta PHP con 'php.ini' o con un archivo .wpsite/php.ini, y Apache con
+ *    'apache.config' o .wpsite/apache.conf. Se montan en el contenedor al
+ *    iniciar wpsite dev (lo de wpsite.config.js tiene prioridad)
+ * 
+ *    Depura con Xdebug usando wpsite dev --xdebug: se muestra la configuración
+ *    de .vscode/launch.json lista para pegar (puerto 'xdebug.port')
+ * 
+ * 5. SEGURIDAD:
+ *    Este archivo contiene credenciales sensibles.
+ *    NO lo subas a Git. Debe estar en .gitignore
+ * 
+ * 6. TESTING:
+ *    Después de configurar, ejecuta: wpsite dev
+ */`;
+
+  return template;
+}
+
+// Verificar y sugerir .gitignore
+function checkGitIgnore() {
+  const gitignorePath = './.gitignore';
+  const configLine = 'wpsite.config.js';
+  
+  try {
+    if (fs.existsSync(gitignorePath)) {
+      const gitignoreContent = fs.readFileSync(gitignorePath, 'utf8');
+      
+      if (!gitignoreContent.includes(configLine)) {
+        console.log(chalk.yellow('\n⚠️  Recomendación de seguridad:'));
+        console.log(chalk.blue('   Agrega wpsite.config.js a tu .gitignore'));
+        console.log(chalk.gray(`   echo "${configLine}" >> .gitignore`));
+      } else {
+        console.log(chalk.green('\n✅ wpsite.config.js ya está en .gitignore'));
+      }
+    } else {
+      console.log(chalk.yellow('\n💡 Considera crear un .gitignore:'));
+      console.log(chalk.gray('   echo "wpsite.config.js" > .gitignore'));
+      console.log(chalk.gray('   echo "wordpress/" >> .gitignore'));
+      console.log(chalk.gray('   echo ".wpsite/" >> .gitignore'));
+      console.log(chalk.gray('   echo "node_modules/" >> .gitignore'));
+    }
+  } catch (error) {
+    // Ignorar errores de .gitignore
+  }
 }
\ No newline at end of file
@@ -0,0 +1,123 @@
+const chalk = require('chalk');
+const fs = require('fs');
+const path = require('path');
+const ConfigHelper = require('../utils/config-helper');
+const LogHelper = require('../utils/log-helper');
+const StateHelper = require('../utils/state-helper');
+
+module.exports = async (options = {}) => {
+  const lines = parseInt(options.lines, 10) || 50;
+
+  if (options.daemon) {
+    showDaemonLog(lines, options.follow);
+    return;
+  }
+
+  let since;
+  try {
+    since = LogHelper.parseSince(options.since);
+  } catch (error) {
+    console.error(chalk.red(`❌ ${error.message}`));
+    process.exit(1);
+  }
+
+  const streams = getSelectedStreams(options);
+  const state = StateHelper.read();
+  const containerName = state ? state.containerName : null;
+  const syncMode = state && state.syncMode ? state.syncMode : getConfiguredSyncMode();
+
+  if (!containerName && !streams.includes('debug')) {
+    console.log(chalk.yellow('⚪ No hay un entorno wpsite registrado en este proyecto'));
+    console.log(chalk.blue('   Inícialo con: wpsite dev'));
+    return;
+  }
+
+  // Marca para continuar con --follow sin perder lo escrito mientras se lee el historial
+  const readStartedAt = new Date();
+  let entries = [];
+
+  if (containerName && (streams.includes('php') || streams.includes('access'))) {
+    try {
+      entries = entries.concat(await LogHelper.readContainerLogs(containerName, { tail: lines, since }));
+    } catch (error) {
+      console.log(chalk.yellow(`⚠️ No se pudieron leer los logs del contenedor ${containerName}`));
+    }
+  }
+
+  if (streams.includes('debug')) {
+    entries = entries.concat(LogHelper.readDebugLog({ tail: lines, since, syncMode }));
+  }
+
+  entries
+    .filter(entry => streams.includes(entry.stream))
+    .sort((a, b) => (a.time || 0) - (b.time || 0))
+    .slice(-lines)
+    .forEach(entry => console.log(LogHelper.format(entry)));
+
+  if (!options.follow) {
+    return;
+  }
+
+  const follower = LogHelper.follow(containerName, { streams, since: readStartedAt, syncMode }, (entry) => {
+    console.log(LogHelper.format(entry));
+  });
+
+  process.on('SIGINT', () => {
+    follower.stop();
+    process.exit(0);
+  });
+};
+
+// Sin entorno registrado, el modo de wpsite.config.js dice dónde está debug.log
+function getConfiguredSyncMode() {
+  try {
+    return ConfigHelper.getSyncConfig(ConfigHelper.load()).mode;
+  } catch (error) {
+    return undefined;
+  }
+}
+
+// Streams pedidos con --php, --access o --debug (todos si no se indica ninguno)
+function getSelectedStreams(options) {
+  const selected = LogHelper.getStreams().filter(stream => options[stream]);
+  return selected.length > 0 ? selected : LogHelper.getStreams();
+}
+
+// Mostrar (y opcionalmente seguir) el log del proceso en segundo plano
+function showDaemonLog(lines, follow) {
+  const logPath = StateHelper.getLogPath();
+
+  if (!fs.existsSync(logPath)) {
+    console.log(chalk.yellow(`📭 No existe ${path.relative(process.cwd(), logPath)}`));
+    console.log(chalk.blue('   Se crea al iniciar con: wpsite dev --detach'));
+    return;
+  }
+
+  const content = fs.readFileSync(logPath, 'utf8');
+  const tail = content.split('\n').slice(-lines - 1).join('\n');
+  process.stdout.write(tail);
+
+  if (!follow) {
+    return;
+  }
+
+  let position = Buffer.byteLength(content);
+
+  fs.watchFile(logPath, { interval: 500 }, (current) => {
+    // El log se trunca en cada inicio en segundo plano
+    if (current.size < position) {
+      position = 0;
+    }
+
+    if (current.size > position) {
+      const stream = fs.createReadStream(logPath, { start: position, end: current.size - 1 });
+      stream.pipe(process.stdout, { end: false });
+      position = current.size;
+    }
+  });
+
+  process.on('SIGINT', () => {
+    fs.unwatchFile(logPath);
+    process.exit(0);
+  });
+}
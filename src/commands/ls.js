@@ -0,0 +1,55 @@
+const chalk = require('chalk');
+const path = require('path');
+const DockerHelper = require('../utils/docker-helper');
+
+module.exports = async () => {
+  if (!(await DockerHelper.checkDockerAvailable())) {
+    console.log(chalk.red('❌ Docker no está corriendo'));
+    process.exit(1);
+  }
+
+  const containers = await DockerHelper.listProjectContainers();
+
+  if (containers.length === 0) {
+    console.log(chalk.yellow('📭 No hay entornos wpsite en esta máquina'));
+    console.log(chalk.blue('   Inicia uno con: wpsite dev'));
+    return;
+  }
+
+  // Agrupar contenedores (WordPress + base de datos) por proyecto
+  const projects = new Map();
+  containers.forEach((container) => {
+    if (!projects.has(container.project)) {
+      projects.set(container.project, {
+        name: container.projectName,
+        dir: container.dir,
+        containers: []
+      });
+    }
+    projects.get(container.project).containers.push(container);
+  });
+
+  const cwd = path.resolve(process.cwd());
+  console.log(chalk.blue(`🐳 Entornos wpsite (${projects.size}):\n`));
+
+  projects.forEach((project) => {
+    const wordpress = project.containers.find(container => container.role === 'wordpress');
+    const database = project.containers.find(container => container.role === 'database');
+    const running = wordpress && wordpress.state === 'running';
+    const current = project.dir === cwd ? chalk.cyan(' (este proyecto)') : '';
+
+    console.log(`${running ? chalk.green('●') : chalk.gray('○')} ${chalk.bold(project.name)}${current}`);
+    console.log(chalk.gray(`   Directorio: ${project.dir}`));
+
+    if (wordpress) {
+      const url = wordpress.port ? `http://localhost:${wordpress.port}` : '-';
+      console.log(`   WordPress:  ${running ? chalk.green(url) : chalk.gray(url)} ${chalk.gray(`${wordpress.name} · ${wordpress.status}`)}`);
+    }
+
+    if (database) {
+      console.log(`   Base datos: ${chalk.gray(`${database.name} · ${database.status}`)}`);
+    }
+
+    console.log();
+  });
+};
@@ -0,0 +1,68 @@
+const chalk = require('chalk');
+const path = require('path');
+const DockerHelper = require('../utils/docker-helper');
+const StateHelper = require('../utils/state-helper');
+
+module.exports = async () => {
+  const state = StateHelper.read();
+
+  if (!state) {
+    console.log(chalk.yellow('⚪ No hay un entorno wpsite registrado en este proyecto'));
+    console.log(chalk.blue('   Inícialo con: wpsite dev'));
+    return;
+  }
+
+  const [containerRunning, dbRunning] = await Promise.all([
+    DockerHelper.isContainerRunning(state.containerName),
+    state.database && state.database.containerName
+      ? DockerHelper.isContainerRunning(state.database.containerName)
+      : Promise.resolve(null)
+  ]);
+  const processAlive = StateHelper.isProcessAlive(state.pid);
+  const tunnelAlive = state.tunnelPid ? StateHelper.isProcessAlive(state.tunnelPid) : null;
+
+  const running = containerRunning && processAlive;
+  console.log(running
+    ? chalk.green(`🟢 Entorno corriendo en ${state.url}`)
+    : chalk.red('🔴 Entorno detenido o incompleto'));
+
+  console.log(chalk.blue(`   Iniciado: ${new Date(state.startedAt).toLocaleString()} (hace ${StateHelper.formatUptime(state.startedAt)})`));
+  console.log(`   ${statusIcon(processAlive)} Proceso wpsite (PID ${state.pid}${state.detached ? ', segundo plano' : ''})`);
+  console.log(`   ${statusIcon(containerRunning)} Contenedor ${state.containerName} (${String(state.containerId).substring(0, 12)})`);
+  if (state.image) {
+    console.log(chalk.gray(`   🐘 Imagen ${state.image} (PHP ${state.phpVersion}${state.xdebug ? ', Xdebug activo' : ''})`));
+  }
+
+  if (dbRunning !== null) {
+    console.log(`   ${statusIcon(dbRunning)} Base de datos local ${state.database.containerName}`);
+  } else {
+    console.log(chalk.gray('   ➖ Base de datos remota'));
+  }
+
+  if (state.tunnelUrl) {
+    console.log(`   ${statusIcon(tunnelAlive)} Túnel ${state.tunnelProvider}: ${state.tunnelUrl}`);
+  }
+
+  if (containerRunning) {
+    try {
+      const stats = await DockerHelper.getContainerStats(state.containerName);
+      if (stats) {
+        console.log(chalk.gray(`   CPU: ${stats.cpu} · Memoria: ${stats.memory}`));
+      }
+    } catch (error) {
+      // Estadísticas no disponibles
+    }
+  }
+
+  if (state.detached && state.logFile) {
+    console.log(chalk.gray(`   Log: ${path.relative(process.cwd(), state.logFile)} (wpsite logs --daemon)`));
+  }
+
+  if (!running) {
+    console.log(chalk.yellow('\n💡 Limpia el estado con: wpsite stop'));
+  }
+};
+
+function statusIcon(alive) {
+  return alive ? chalk.green('✔') : chalk.red('✖');
+}
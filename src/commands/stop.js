@@ -0,0 +1,85 @@
+const chalk = require('chalk');
+const ora = require('ora');
+const DockerHelper = require('../utils/docker-helper');
+const StateHelper = require('../utils/state-helper');
+const { restoreLocalUrls } = require('./dev');
+
+module.exports = async () => {
+  const state = StateHelper.read();
+
+  if (!state) {
+    console.log(chalk.yellow('⚪ No hay un entorno wpsite registrado en este proyecto'));
+    return;
+  }
+
+  const spinner = ora('Deteniendo entorno wpsite...').start();
+
+  try {
+    // Solo se envían señales a procesos confirmados: el PID de un estado antiguo puede ser otro proceso
+    // (en Windows no se puede leer su comando: se exige que el contenedor registrado siga corriendo)
+    const devProcess = process.platform === 'win32'
+      ? StateHelper.isProcessAlive(state.pid) && await DockerHelper.isContainerRunning(state.containerName)
+      : StateHelper.isDevProcess(state);
+
+    // 1. Pedir al proceso de wpsite dev que se detenga por sí mismo (mismo cleanup que Ctrl+C)
+    if (devProcess && process.platform !== 'win32') {
+      spinner.text = `Enviando señal de parada al proceso ${state.pid}...`;
+      process.kill(state.pid, 'SIGINT');
+
+      if (await StateHelper.waitForExit(state.pid, 30000)) {
+        StateHelper.clear();
+        spinner.succeed('Entorno detenido correctamente');
+        return;
+      }
+
+      spinner.text = 'El proceso no respondió, deteniendo servicios manualmente...';
+    }
+
+    // 2. Limpieza manual (proceso muerto, Windows o sin respuesta)
+    if (state.tunnelPid && isTunnelProcess(state)) {
+      spinner.text = 'Cerrando túnel...';
+      killProcess(state.tunnelPid);
+    }
+
+    // Sin el cleanup de wpsite dev, wp-config.php seguiría apuntando a un túnel que ya no existe
+    if (state.tunnelUrl) {
+      try {
+        restoreLocalUrls(state);
+      } catch (error) {
+        console.log(chalk.yellow(`\n⚠️ No se pudo restaurar wp-config.php a localhost: ${error.message}`));
+      }
+    }
+
+    spinner.text = `Deteniendo contenedor ${state.containerName}...`;
+    await DockerHelper.removeContainer(state.containerName, 10);
+
+    if (state.database && state.database.containerName) {
+      spinner.text = 'Deteniendo base de datos local...';
+      await DockerHelper.removeContainer(state.database.containerName, 10);
+    }
+
+    if (devProcess && StateHelper.isProcessAlive(state.pid)) {
+      killProcess(state.pid);
+    }
+
+    StateHelper.clear();
+    spinner.succeed('Entorno detenido correctamente');
+  } catch (error) {
+    spinner.fail(`❌ Error deteniendo entorno: ${error.message}`);
+    process.exit(1);
+  }
+};
+
+// El túnel se identifica por su binario (o por el comando de tunnel.command)
+function isTunnelProcess(state) {
+  const expected = state.tunnelProvider === 'custom' ? state.tunnelCommand : state.tunnelProvider;
+  return Boolean(expected) && StateHelper.isExpectedProcess(state.tunnelPid, [expected]);
+}
+
+function killProcess(pid) {
+  try {
+    process.kill(pid, 'SIGTERM');
+  } catch (error) {
+    // El proceso ya terminó
+  }
+}
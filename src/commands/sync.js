@@ -0,0 +1,93 @@
+const { spawnSync } = require('child_process');
+const chalk = require('chalk');
+const fs = require('fs');
+const path = require('path');
+const PromptHelper = require('../utils/prompt-helper');
+const SyncConflicts = require('../utils/sync-conflicts');
+
+// wpsite sync conflicts: listar las copias en conflicto y elegir qué versión conservar
+async function conflicts() {
+  if (!fs.existsSync('./wp-content')) {
+    console.error(chalk.red('❌ No se encontró wp-content/ en este directorio'));
+    process.exit(1);
+  }
+
+  const pending = SyncConflicts.list();
+  if (pending.length === 0) {
+    console.log(chalk.green('✅ No hay conflictos de sincronización'));
+    return;
+  }
+
+  console.log(chalk.yellow(`⚠️ ${pending.length} conflicto(s) de sincronización:\n`));
+  pending.forEach(printConflict);
+
+  if (!process.stdin.isTTY) {
+    console.log(chalk.gray('\n   Ejecuta wpsite sync conflicts en una terminal para resolverlos'));
+    return;
+  }
+
+  console.log(chalk.blue('\nPara cada conflicto: [l] conservar la versión local, [c] la del contenedor,'));
+  console.log(chalk.blue('[d] ver diferencias, [s] dejarlo para más tarde, [q] salir\n'));
+
+  let resolved = 0;
+  for (const conflict of pending) {
+    const keep = await askResolution(conflict);
+    if (keep === 'quit') break;
+    if (keep === 'skip') continue;
+
+    try {
+      SyncConflicts.resolve(conflict, keep);
+      resolved++;
+      console.log(chalk.green(`✓ ${conflict.relativePath}: ${keep === 'local' ? 'versión local' : 'versión del contenedor'}`));
+    } catch (error) {
+      console.log(chalk.red(`❌ ${conflict.relativePath}: ${error.message}`));
+    }
+  }
+
+  console.log(chalk.blue(`\n🔀 ${resolved} de ${pending.length} conflictos resueltos`));
+  if (resolved > 0) {
+    console.log(chalk.gray('   Con wpsite dev en marcha (sync.mode "copy") los cambios se sincronizan solos'));
+  }
+}
+
+function printConflict(conflict) {
+  const date = conflict.createdAt.toISOString().replace('T', ' ').slice(0, 19);
+  console.log(`   ${chalk.yellow(conflict.relativePath)} ${chalk.gray(`(${date} UTC)`)}`);
+  console.log(chalk.gray(`      versión del contenedor: ${path.basename(conflict.conflictPath)}`));
+  if (!conflict.originalExists) {
+    console.log(chalk.gray('      el archivo local ya no existe'));
+  }
+}
+
+async function askResolution(conflict) {
+  for (;;) {
+    const answer = (await PromptHelper.ask(chalk.yellow(`${conflict.relativePath} [l/c/d/s/q]: `))).toLowerCase();
+
+    if (answer === 'l') return 'local';
+    if (answer === 'c') return 'container';
+    if (answer === 's' || answer === '') return 'skip';
+    if (answer === 'q') return 'quit';
+    if (answer === 'd') {
+      showDiff(conflict);
+      continue;
+    }
+
+    console.log(chalk.gray('   Responde l, c, d, s o q'));
+  }
+}
+
+// Diferencias local → contenedor con git diff (funciona fuera de un repositorio)
+function showDiff(conflict) {
+  const localPath = conflict.originalExists ? conflict.originalPath : '/dev/null';
+  const result = spawnSync('git', ['--no-pager', 'diff', '--no-index', '--', localPath, conflict.conflictPath], {
+    stdio: 'inherit'
+  });
+
+  if (result.error) {
+    console.log(chalk.yellow('⚠️ No se pudo mostrar la diferencia (se necesita git)'));
+  }
+}
+
+module.exports = {
+  conflicts
+};
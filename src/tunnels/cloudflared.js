@@ -0,0 +1,59 @@
+const { spawn } = require('child_process');
+const chalk = require('chalk');
+const TunnelProvider = require('./tunnel-provider');
+
+// Túnel rápido de Cloudflare (no requiere cuenta): la URL aparece en la salida del proceso
+class CloudflaredProvider extends TunnelProvider {
+  get name() {
+    return 'cloudflared';
+  }
+
+  async check() {
+    const version = await this.runCommand('cloudflared --version');
+
+    if (version === null) {
+      return {
+        success: false,
+        message: 'No instalado',
+        suggestion: 'Instala cloudflared para túneles públicos',
+        fix: 'https://developers.cloudflare.com/cloudflare-one/connections/connect-networks/downloads/'
+      };
+    }
+
+    return { success: true, message: version.split('\n')[0] };
+  }
+
+  async start(port, spinner) {
+    spinner.text = 'Iniciando túnel cloudflared...';
+
+    const installed = await this.check();
+    if (!installed.success) {
+      spinner.fail('❌ cloudflared no está instalado');
+      console.log(chalk.yellow('\n📦 Para usar túneles de Cloudflare, instala cloudflared:'));
+      console.log(chalk.blue(`   ${installed.fix}`));
+      throw new Error('cloudflared no encontrado');
+    }
+
+    const tunnelProcess = spawn(
+      'cloudflared',
+      ['tunnel', '--no-autoupdate', '--url', `http://localhost:${port}`],
+      { stdio: 'pipe' }
+    );
+
+    tunnelProcess.on('error', () => {});
+
+    let url;
+    try {
+      url = await this.waitForUrl(tunnelProcess, /https:\/\/[a-z0-9-]+\.trycloudflare\.com/i);
+    } catch (error) {
+      // Sin URL no hay túnel útil: no dejar el proceso huérfano
+      await this.stop(tunnelProcess);
+      throw error;
+    }
+    console.log(chalk.blue(`🔗 Túnel obtenido: ${url}`));
+
+    return { url, process: tunnelProcess };
+  }
+}
+
+module.exports = CloudflaredProvider;
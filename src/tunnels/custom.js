@@ -0,0 +1,77 @@
+const { spawn } = require('child_process');
+const chalk = require('chalk');
+const TunnelProvider = require('./tunnel-provider');
+
+// Túnel con un comando propio: tunnel.command admite {port} y tunnel.urlPattern extrae la URL
+class CustomProvider extends TunnelProvider {
+  get name() {
+    return 'custom';
+  }
+
+  getCommand(port) {
+    if (!this.options.command) {
+      throw new Error('Configura tunnel.command en wpsite.config.js para usar el proveedor custom');
+    }
+    return this.options.command.replace(/\{port\}/g, String(port));
+  }
+
+  getUrlPattern() {
+    return new RegExp(this.options.urlPattern || 'https://[^\\s"\']+');
+  }
+
+  async check() {
+    if (!this.options.command) {
+      return {
+        success: false,
+        message: 'Sin comando configurado',
+        suggestion: 'Define tunnel.command y tunnel.urlPattern en wpsite.config.js',
+        fix: 'Ejemplo: command: "ssh -R 80:localhost:{port} serveo.net"'
+      };
+    }
+
+    const binary = this.options.command.trim().split(/\s+/)[0];
+    const lookup = process.platform === 'win32' ? `where ${binary}` : `command -v ${binary}`;
+    const found = await this.runCommand(lookup);
+
+    if (found === null) {
+      return {
+        success: false,
+        message: `${binary} no encontrado`,
+        suggestion: `Instala ${binary} o revisa tunnel.command`
+      };
+    }
+
+    return { success: true, message: `${binary} (comando propio)` };
+  }
+
+  usesProcessGroup() {
+    return process.platform !== 'win32';
+  }
+
+  async start(port, spinner) {
+    const command = this.getCommand(port);
+    spinner.text = `Iniciando túnel: ${command}`;
+
+    const tunnelProcess = spawn(command, {
+      shell: true,
+      stdio: 'pipe',
+      detached: this.usesProcessGroup()
+    });
+
+    tunnelProcess.on('error', () => {});
+
+    let url;
+    try {
+      url = await this.waitForUrl(tunnelProcess, this.getUrlPattern(), this.options.timeout || 30000);
+    } catch (error) {
+      // Sin URL no hay túnel útil: no dejar el proceso (ni su grupo) huérfano
+      await this.stop(tunnelProcess);
+      throw error;
+    }
+    console.log(chalk.blue(`🔗 Túnel obtenido: ${url}`));
+
+    return { url, process: tunnelProcess };
+  }
+}
+
+module.exports = CustomProvider;
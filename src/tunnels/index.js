@@ -0,0 +1,32 @@
+const NgrokProvider = require('./ngrok');
+const CloudflaredProvider = require('./cloudflared');
+const CustomProvider = require('./custom');
+
+const PROVIDERS = {
+  ngrok: NgrokProvider,
+  cloudflared: CloudflaredProvider,
+  custom: CustomProvider
+};
+
+/**
+ * Crear el proveedor de túnel configurado
+ * @param {Object} config - Configuración del proyecto (usa config.tunnel)
+ * @param {string} override - Proveedor indicado con --tunnel-provider (opcional)
+ * @returns {TunnelProvider}
+ */
+function getTunnelProvider(config = {}, override) {
+  const tunnel = config.tunnel || {};
+  const name = (override || tunnel.provider || 'ngrok').toLowerCase();
+  const Provider = PROVIDERS[name];
+
+  if (!Provider) {
+    throw new Error(`Proveedor de túnel desconocido: ${name} (disponibles: ${Object.keys(PROVIDERS).join(', ')})`);
+  }
+
+  return new Provider(tunnel);
+}
+
+module.exports = {
+  getTunnelProvider,
+  providers: Object.keys(PROVIDERS)
+};
@@ -0,0 +1,175 @@
+const { spawn } = require('child_process');
+const http = require('http');
+const chalk = require('chalk');
+const TunnelProvider = require('./tunnel-provider');
+
+// Túnel con ngrok: la URL se obtiene de su API local (la dirección aparece en su log)
+class NgrokProvider extends TunnelProvider {
+  get name() {
+    return 'ngrok';
+  }
+
+  async check() {
+    const version = await this.runCommand('ngrok version');
+
+    if (version === null) {
+      return {
+        success: false,
+        message: 'No instalado',
+        suggestion: 'Instala ngrok para túneles públicos',
+        fix: 'Descarga desde https://ngrok.com/download'
+      };
+    }
+
+    const versionLine = version.split('\n')[0];
+    const configOk = await this.runCommand('ngrok config check');
+
+    if (configOk === null) {
+      return {
+        success: true,
+        message: `${versionLine} (sin token)`,
+        suggestion: 'Configura tu token: ngrok config add-authtoken TU_TOKEN',
+        fix: 'Obtén tu token gratis en ngrok.com'
+      };
+    }
+
+    return { success: true, message: `${versionLine} (autenticado)` };
+  }
+
+  async start(port, spinner) {
+    spinner.text = 'Iniciando túnel ngrok...';
+
+    const installed = await this.check();
+    if (!installed.success) {
+      spinner.fail('❌ ngrok no está instalado');
+      console.log(chalk.yellow('\n📦 Para usar túneles, instala ngrok:'));
+      console.log(chalk.blue('   1. Descarga: https://ngrok.com/download'));
+      console.log(chalk.blue('   2. O instala: npm install -g ngrok'));
+      console.log(chalk.blue('   3. Configura: ngrok config add-authtoken TU_TOKEN'));
+      throw new Error('ngrok no encontrado');
+    }
+
+    // Log JSON por stdout: la dirección de la API local cambia (4041, 4042...) si ya hay otro ngrok
+    const ngrokProcess = spawn(
+      'ngrok',
+      ['http', String(port), '--host-header=rewrite', '--log', 'stdout', '--log-format', 'json'],
+      { stdio: 'pipe', detached: false }
+    );
+
+    return new Promise((resolve, reject) => {
+      let attempts = 0;
+      let retryTimer = null;
+      let webAddress = null;
+      let output = '';
+      let settled = false;
+      const maxAttempts = 15;
+
+      // Sin URL no hay túnel útil: no dejar el proceso huérfano ni reintentos pendientes
+      const fail = (message) => {
+        if (settled) return;
+        settled = true;
+        clearTimeout(retryTimer);
+        this.stop(ngrokProcess).then(() => reject(new Error(message)));
+      };
+
+      const retry = (message) => {
+        if (settled) return;
+        if (attempts < maxAttempts) {
+          retryTimer = setTimeout(checkNgrokUrl, 1000);
+        } else {
+          fail(message);
+        }
+      };
+
+      const checkNgrokUrl = () => {
+        attempts++;
+
+        if (!webAddress) {
+          retry('ngrok no indicó la dirección de su API local');
+          return;
+        }
+
+        this.fetchTunnels(webAddress)
+          .then((tunnels) => {
+            if (settled) return;
+            if (tunnels.length === 0) {
+              retry('No se encontraron túneles activos');
+              return;
+            }
+
+            const httpsTunnel = tunnels.find((t) => t.public_url.startsWith('https://'));
+            const url = httpsTunnel ? httpsTunnel.public_url : tunnels[0].public_url;
+
+            settled = true;
+            console.log(chalk.blue(`🔗 Túnel obtenido: ${url}`));
+            resolve({ url, process: ngrokProcess });
+          })
+          .catch(() => retry('No se pudo obtener URL de ngrok'));
+      };
+
+      const checkAuthtoken = (text) => {
+        if (text.includes('authtoken')) {
+          fail('Token de ngrok no configurado. Ejecuta: ngrok config add-authtoken TU_TOKEN');
+        }
+      };
+
+      ngrokProcess.stdout.on('data', (data) => {
+        output += data.toString();
+        const lines = output.split('\n');
+        output = lines.pop();
+
+        lines.forEach((line) => {
+          let entry;
+          try {
+            entry = JSON.parse(line);
+          } catch (error) {
+            return;
+          }
+
+          if (entry.msg === 'starting web service' && entry.addr) {
+            webAddress = entry.addr;
+          }
+          if (entry.err) {
+            checkAuthtoken(String(entry.err));
+          }
+        });
+      });
+
+      ngrokProcess.stderr.on('data', (data) => checkAuthtoken(data.toString()));
+
+      ngrokProcess.on('error', (error) => {
+        fail(`Error iniciando ngrok: ${error.message}`);
+      });
+
+      ngrokProcess.on('exit', (code) => {
+        fail(`ngrok terminó inesperadamente (código ${code})`);
+      });
+
+      retryTimer = setTimeout(checkNgrokUrl, 3000);
+    });
+  }
+
+  // Consultar la API local de ngrok sin depender de curl
+  fetchTunnels(webAddress) {
+    return new Promise((resolve, reject) => {
+      const request = http.get(`http://${webAddress}/api/tunnels`, (response) => {
+        let body = '';
+        response.on('data', (chunk) => {
+          body += chunk;
+        });
+        response.on('end', () => {
+          try {
+            resolve(JSON.parse(body).tunnels || []);
+          } catch (error) {
+            reject(error);
+          }
+        });
+      });
+
+      request.on('error', reject);
+      request.setTimeout(2000, () => request.destroy(new Error('timeout')));
+    });
+  }
+}
+
+module.exports = NgrokProvider;
@@ -0,0 +1,103 @@
+const { exec } = require('child_process');
+
+// Clase base para proveedores de túnel (ngrok, cloudflared, comando propio...)
+class TunnelProvider {
+  constructor(options = {}) {
+    this.options = options;
+  }
+
+  // Nombre visible del proveedor
+  get name() {
+    return 'tunnel';
+  }
+
+  // Verificar instalación (mismo formato que los checks de wpsite doctor)
+  async check() {
+    throw new Error(`${this.name}: check() no implementado`);
+  }
+
+  // Iniciar el túnel y resolver { url, process }
+  async start(port, spinner) {
+    throw new Error(`${this.name}: start() no implementado`);
+  }
+
+  // Detener el proceso del túnel (en POSIX se mata el grupo completo)
+  async stop(tunnelProcess) {
+    if (!tunnelProcess || tunnelProcess.killed) {
+      return;
+    }
+
+    const kill = (signal) => {
+      try {
+        if (this.usesProcessGroup()) {
+          process.kill(-tunnelProcess.pid, signal);
+        } else {
+          tunnelProcess.kill(signal);
+        }
+      } catch (error) {
+        // El proceso ya terminó
+      }
+    };
+
+    kill('SIGTERM');
+
+    setTimeout(() => {
+      if (!tunnelProcess.killed && tunnelProcess.exitCode === null) {
+        kill('SIGKILL');
+      }
+    }, 2000);
+  }
+
+  // Los procesos lanzados con shell se agrupan para poder detener sus hijos
+  usesProcessGroup() {
+    return false;
+  }
+
+  // Ejecutar un comando y devolver stdout (null si falla)
+  runCommand(command) {
+    return new Promise((resolve) => {
+      exec(command, (error, stdout) => {
+        resolve(error ? null : stdout.trim());
+      });
+    });
+  }
+
+  // Esperar a que el proceso escriba una URL que cumpla el patrón
+  waitForUrl(tunnelProcess, pattern, timeoutMs = 30000) {
+    return new Promise((resolve, reject) => {
+      let output = '';
+
+      const timer = setTimeout(() => {
+        cleanup();
+        reject(new Error(`No se pudo obtener la URL de ${this.name}`));
+      }, timeoutMs);
+
+      const onData = (data) => {
+        output += data.toString();
+        const match = output.match(pattern);
+        if (match) {
+          cleanup();
+          resolve(match[1] || match[0]);
+        }
+      };
+
+      const onExit = (code) => {
+        cleanup();
+        reject(new Error(`${this.name} terminó inesperadamente (código ${code})`));
+      };
+
+      const cleanup = () => {
+        clearTimeout(timer);
+        if (tunnelProcess.stdout) tunnelProcess.stdout.removeListener('data', onData);
+        if (tunnelProcess.stderr) tunnelProcess.stderr.removeListener('data', onData);
+        tunnelProcess.removeListener('exit', onExit);
+      };
+
+      if (tunnelProcess.stdout) tunnelProcess.stdout.on('data', onData);
+      if (tunnelProcess.stderr) tunnelProcess.stderr.on('data', onData);
+      tunnelProcess.on('exit', onExit);
+    });
+  }
+}
+
+module.exports = TunnelProvider;
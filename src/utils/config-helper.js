@@ -0,0 +1,182 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const CONFIG_FILE = 'wpsite.config.js';
+
+// Valores por defecto para la base de datos local (contenedor MariaDB)
+const LOCAL_DATABASE_DEFAULTS = {
+  image: 'mariadb:10.11',
+  name: 'wordpress',
+  user: 'wpsite',
+  password: 'wpsite',
+  rootPassword: 'wpsite-root'
+};
+
+const SYNC_MODES = ['copy', 'mount'];
+
+class ConfigHelper {
+
+  /**
+   * Ruta absoluta del archivo de configuración del proyecto
+   * @param {string} cwd - Directorio del proyecto (por defecto el actual)
+   * @returns {string} - Ruta de wpsite.config.js
+   */
+  static getConfigPath(cwd = process.cwd()) {
+    return path.join(cwd, CONFIG_FILE);
+  }
+
+  /**
+   * Cargar wpsite.config.js sin caché para reflejar cambios recientes
+   * @param {string} cwd - Directorio del proyecto (por defecto el actual)
+   * @returns {Object} - Configuración del proyecto
+   */
+  static load(cwd = process.cwd()) {
+    const configPath = this.getConfigPath(cwd);
+
+    if (!fs.existsSync(configPath)) {
+      throw new Error(`${CONFIG_FILE} no encontrado`);
+    }
+
+    delete require.cache[require.resolve(configPath)];
+    return require(configPath);
+  }
+
+  /**
+   * Obtener un identificador seguro para nombres de Docker a partir del proyecto
+   * @param {Object} config - Configuración del proyecto
+   * @returns {string} - Identificador en minúsculas sin caracteres especiales
+   */
+  static getProjectSlug(config = {}) {
+    const name = config.name || path.basename(process.cwd());
+    return name
+      .toLowerCase()
+      .replace(/[^a-z0-9_.-]+/g, '-')
+      .replace(/^[-.]+|[-.]+$/g, '') || 'wpsite';
+  }
+
+  /**
+   * Datos de conexión de la base de datos remota, sin importar el modo configurado
+   * @param {Object} config - Configuración del proyecto
+   * @returns {Object} - Datos de conexión remotos
+   */
+  static getRemoteDatabaseConfig(config = {}) {
+    const database = config.database || {};
+
+    return {
+      mode: 'remote',
+      host: database.host,
+      name: database.name,
+      user: database.user,
+      password: database.password,
+      tablePrefix: database.tablePrefix || 'wp_'
+    };
+  }
+
+  /**
+   * Leer la conexión a la que apunta actualmente wordpress/wp-config.php
+   * @param {string} wpConfigPath - Ruta de wp-config.php
+   * @returns {Object|null} - Datos de conexión o null si no existe el archivo
+   */
+  static getWordPressDatabaseConfig(wpConfigPath = './wordpress/wp-config.php') {
+    if (!fs.existsSync(wpConfigPath)) {
+      return null;
+    }
+
+    const content = fs.readFileSync(wpConfigPath, 'utf8');
+    const readDefine = (constant) => {
+      const match = content.match(new RegExp(`define\\(\\s*['"]${constant}['"]\\s*,\\s*'((?:[^'\\\\]|\\\\.)*)'`));
+      return match ? match[1].replace(/\\(['\\])/g, '$1') : undefined;
+    };
+    const prefixMatch = content.match(/\$table_prefix\s*=\s*'([^']*)'/);
+
+    return {
+      host: readDefine('DB_HOST'),
+      name: readDefine('DB_NAME'),
+      user: readDefine('DB_USER'),
+      password: readDefine('DB_PASSWORD'),
+      tablePrefix: prefixMatch ? prefixMatch[1] : 'wp_'
+    };
+  }
+
+  /**
+   * Identificar el proyecto por nombre y directorio (permite varios proyectos a la vez)
+   * @param {Object} config - Configuración del proyecto
+   * @param {string} cwd - Directorio del proyecto (por defecto el actual)
+   * @returns {Object} - { id, name, dir }
+   */
+  static getProjectInfo(config = {}, cwd = process.cwd()) {
+    const dir = path.resolve(cwd);
+    const dirHash = crypto.createHash('md5').update(dir).digest('hex').substring(0, 6);
+
+    return {
+      id: `${this.getProjectSlug(config)}-${dirHash}`,
+      name: config.name || path.basename(dir),
+      dir
+    };
+  }
+
+  /**
+   * Resolver la configuración efectiva de base de datos
+   * @param {Object} config - Configuración del proyecto
+   * @param {Object} options - Opciones de línea de comandos (localDb)
+   * @returns {Object} - Datos de conexión y modo ('remote' o 'local')
+   */
+  static getDatabaseConfig(config = {}, options = {}) {
+    const database = config.database || {};
+    const mode = options.localDb ? 'local' : (database.mode || 'remote');
+    const tablePrefix = database.tablePrefix || 'wp_';
+
+    if (mode !== 'local') {
+      return this.getRemoteDatabaseConfig(config);
+    }
+
+    const local = Object.assign({}, LOCAL_DATABASE_DEFAULTS, database.local || {});
+    const project = this.getProjectInfo(config);
+
+    return {
+      mode: 'local',
+      host: `wpsite-db-${project.id}`,
+      name: local.name,
+      user: local.user,
+      password: local.password,
+      rootPassword: local.rootPassword,
+      image: local.image,
+      tablePrefix,
+      containerName: `wpsite-db-${project.id}`,
+      volumeName: `wpsite-db-${project.id}-data`,
+      networkName: 'wpsite-network',
+      project
+    };
+  }
+
+  /**
+   * Resolver cómo se comparte wp-content con el contenedor
+   * Sin sync.mode se usa la copia sincronizada en todas las plataformas: el montaje es opcional
+   * @param {Object} config - Configuración del proyecto
+   * @returns {Object} - { mode, isDefault, ignore, include, toContainer, toLocal }
+   *   mode: 'mount' = bind mount directo, 'copy' = copia sincronizada (usa las reglas de ignore/include)
+   */
+  static getSyncConfig(config = {}) {
+    const sync = config.sync || {};
+    const mode = sync.mode || 'copy';
+
+    if (!SYNC_MODES.includes(mode)) {
+      throw new Error(`sync.mode debe ser "copy" o "mount" (valor actual: ${mode})`);
+    }
+
+    const toList = value => [].concat(value || []).map(String);
+    const toRules = rules => ({ ignore: toList(rules && rules.ignore), include: toList(rules && rules.include) });
+
+    return {
+      mode,
+      isDefault: !sync.mode,
+      ignore: toList(sync.ignore),
+      include: toList(sync.include),
+      toContainer: toRules(sync.toContainer),
+      toLocal: toRules(sync.toLocal)
+    };
+  }
+}
+
+module.exports = ConfigHelper;
@@ -0,0 +1,330 @@
+const { spawn } = require('child_process');
+const crypto = require('crypto');
+const fs = require('fs');
+const readline = require('readline');
+const DockerHelper = require('./docker-helper');
+
+class DatabaseHelper {
+
+  /**
+   * Iniciar el contenedor MariaDB local del proyecto
+   * @param {Object} database - Configuración resuelta por ConfigHelper.getDatabaseConfig
+   * @param {Object} spinner - Spinner para mostrar progreso (opcional)
+   * @returns {Promise<string>} - ID del contenedor de base de datos
+   */
+  static async startLocalDatabase(database, spinner) {
+    if (spinner) {
+      spinner.text = 'Preparando base de datos local...';
+    }
+
+    await DockerHelper.ensureNetwork(database.networkName);
+
+    // Reutilizar el contenedor si ya está corriendo (p. ej. tras un cierre inesperado)
+    if (await DockerHelper.isContainerRunning(database.containerName)) {
+      await this.waitForDatabase(database, spinner);
+      return database.containerName;
+    }
+
+    await DockerHelper.removeContainer(database.containerName);
+    await DockerHelper.pullImageIfNeeded(database.image, spinner);
+
+    if (spinner) {
+      spinner.text = `Iniciando base de datos local (${database.image})...`;
+    }
+
+    const containerId = await new Promise((resolve, reject) => {
+      const dbArgs = [
+        'run',
+        '-d',
+        '--name',
+        database.containerName,
+        '--network',
+        database.networkName,
+        ...DockerHelper.buildProjectLabels(database.project, 'database'),
+        '-v',
+        `${database.volumeName}:/var/lib/mysql`,
+        '-e',
+        `MARIADB_DATABASE=${database.name}`,
+        '-e',
+        `MARIADB_USER=${database.user}`,
+        '-e',
+        `MARIADB_PASSWORD=${database.password}`,
+        '-e',
+        `MARIADB_ROOT_PASSWORD=${database.rootPassword}`,
+        database.image
+      ];
+
+      const dbStart = spawn('docker', dbArgs, { stdio: 'pipe' });
+
+      let output = '';
+      let errorOutput = '';
+
+      dbStart.stdout.on('data', (data) => {
+        output += data.toString();
+      });
+
+      dbStart.stderr.on('data', (data) => {
+        errorOutput += data.toString();
+      });
+
+      dbStart.on('close', (code) => {
+        if (code === 0 && output.trim()) {
+          resolve(output.trim());
+        } else {
+          reject(new Error(`Error iniciando base de datos local: ${errorOutput.trim()}`));
+        }
+      });
+    });
+
+    await this.waitForDatabase(database, spinner);
+    return containerId;
+  }
+
+  /**
+   * Esperar a que MariaDB acepte conexiones
+   * @param {Object} database - Configuración resuelta de la base de datos local
+   * @param {Object} spinner - Spinner para mostrar progreso (opcional)
+   * @param {number} maxAttempts - Intentos máximos (uno por segundo)
+   * @returns {Promise<void>}
+   */
+  static async waitForDatabase(database, spinner, maxAttempts = 60) {
+    const pingCommand = this.buildClientCommand('mariadb-admin', this.getLocalRootConnection(database), [
+      'ping',
+      '--silent'
+    ]);
+
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      try {
+        await DockerHelper.execInContainer(database.containerName, pingCommand);
+        return;
+      } catch (error) {
+        if (spinner) {
+          spinner.text = `Esperando base de datos local... (${attempt}/${maxAttempts})`;
+        }
+        await new Promise(resolve => setTimeout(resolve, 1000));
+      }
+    }
+
+    throw new Error('La base de datos local no respondió a tiempo');
+  }
+
+  /**
+   * Datos de conexión como root a la base de datos local (desde dentro de su contenedor)
+   * @param {Object} database - Configuración resuelta de la base de datos local
+   * @returns {Object} - Conexión { host, user, password, name }
+   */
+  static getLocalRootConnection(database) {
+    return {
+      host: '127.0.0.1',
+      user: 'root',
+      password: database.rootPassword,
+      name: database.name
+    };
+  }
+
+  /**
+   * Escapar un valor para usarlo en un comando sh
+   * @param {string} value - Valor a escapar
+   * @returns {string} - Valor entre comillas simples
+   */
+  static shellQuote(value) {
+    return `'${String(value).replace(/'/g, "'\\''")}'`;
+  }
+
+  /**
+   * Construir un comando del cliente MariaDB con los datos de conexión
+   * @param {string} binary - Ejecutable (mariadb, mariadb-dump...)
+   * @param {Object} connection - { host, user, password } (host admite "host:puerto")
+   * @param {string[]} args - Argumentos adicionales ya escapados
+   * @returns {string} - Comando listo para sh -c
+   */
+  static buildClientCommand(binary, connection, args = []) {
+    const [host, port] = String(connection.host || '127.0.0.1').split(':');
+    const parts = [
+      `MYSQL_PWD=${this.shellQuote(connection.password || '')}`,
+      binary,
+      '-h', this.shellQuote(host),
+      '-u', this.shellQuote(connection.user)
+    ];
+
+    if (port) {
+      parts.push('-P', this.shellQuote(port));
+    }
+
+    return [...parts, ...args].join(' ');
+  }
+
+  /**
+   * Ejecutar una consulta SQL desde un contenedor con cliente MariaDB
+   * @param {string} containerName - Contenedor donde se ejecuta el cliente
+   * @param {Object} connection - Datos de conexión (incluye name)
+   * @param {string} sql - Consulta a ejecutar
+   * @returns {Promise<string[][]>} - Filas separadas por tabulador
+   */
+  static async query(containerName, connection, sql) {
+    const command = this.buildClientCommand('mariadb', connection, [
+      '-N', '-B',
+      this.shellQuote(connection.name),
+      '-e', this.shellQuote(sql)
+    ]);
+
+    const output = await DockerHelper.execInContainer(containerName, command);
+    return output ? output.split('\n').map(line => line.split('\t')) : [];
+  }
+
+  /**
+   * Listar las tablas que usan el prefijo de WordPress
+   * @param {string} containerName - Contenedor donde se ejecuta el cliente
+   * @param {Object} connection - Datos de conexión (incluye name)
+   * @param {string} tablePrefix - Prefijo de tablas
+   * @returns {Promise<string[]>} - Nombres de tablas
+   */
+  static async listTables(containerName, connection, tablePrefix) {
+    const likePrefix = tablePrefix.replace(/[\\_%]/g, '\\$&').replace(/'/g, "''");
+    const rows = await this.query(containerName, connection, `SHOW TABLES LIKE '${likePrefix}%'`);
+    return rows.map(row => row[0]).filter(Boolean);
+  }
+
+  /**
+   * Filtrar tablas según listas de inclusión/exclusión (admite nombres sin prefijo)
+   * @param {string[]} tables - Tablas disponibles
+   * @param {string} tablePrefix - Prefijo de tablas
+   * @param {Object} filters - { include, exclude } como arrays o listas separadas por comas
+   * @returns {string[]} - Tablas seleccionadas
+   */
+  static filterTables(tables, tablePrefix, filters = {}) {
+    const normalize = (list) => {
+      if (!list) return [];
+      const items = Array.isArray(list) ? list : String(list).split(',');
+      return items
+        .map(item => item.trim())
+        .filter(Boolean)
+        .map(item => (item.startsWith(tablePrefix) ? item : `${tablePrefix}${item}`));
+    };
+
+    const include = normalize(filters.include);
+    const exclude = normalize(filters.exclude);
+
+    const unknown = [...include, ...exclude].filter(table => !tables.includes(table));
+    if (unknown.length > 0) {
+      throw new Error(`Tablas no encontradas: ${unknown.join(', ')}`);
+    }
+
+    return tables
+      .filter(table => include.length === 0 || include.includes(table))
+      .filter(table => !exclude.includes(table));
+  }
+
+  /**
+   * Volcar tablas a un archivo SQL dentro del contenedor
+   * @param {string} containerName - Contenedor donde se ejecuta mariadb-dump
+   * @param {Object} connection - Datos de conexión (incluye name)
+   * @param {string[]} tables - Tablas a volcar
+   * @param {string} outputPath - Ruta del volcado dentro del contenedor
+   * @returns {Promise<void>}
+   */
+  static async dumpTables(containerName, connection, tables, outputPath) {
+    const command = this.buildClientCommand('mariadb-dump', connection, [
+      '--single-transaction',
+      '--quick',
+      '--skip-lock-tables',
+      '--no-tablespaces',
+      '--default-character-set=utf8mb4',
+      this.shellQuote(connection.name),
+      ...tables.map(table => this.shellQuote(table)),
+      '>', this.shellQuote(outputPath)
+    ]);
+
+    await DockerHelper.execInContainer(containerName, command);
+  }
+
+  /**
+   * Importar un archivo SQL que ya está dentro del contenedor
+   * @param {string} containerName - Contenedor donde se ejecuta el cliente
+   * @param {Object} connection - Datos de conexión (incluye name)
+   * @param {string} inputPath - Ruta del volcado dentro del contenedor
+   * @returns {Promise<void>}
+   */
+  static async importFile(containerName, connection, inputPath) {
+    const command = this.buildClientCommand('mariadb', connection, [
+      '--default-character-set=utf8mb4',
+      this.shellQuote(connection.name),
+      '<', this.shellQuote(inputPath)
+    ]);
+
+    await DockerHelper.execInContainer(containerName, command);
+  }
+
+  /**
+   * Contar filas exactas de varias tablas en una sola consulta
+   * @param {string} containerName - Contenedor donde se ejecuta el cliente
+   * @param {Object} connection - Datos de conexión (incluye name)
+   * @param {string[]} tables - Tablas a contar
+   * @returns {Promise<Map<string, number>>} - Tabla -> número de filas
+   */
+  static async countRows(containerName, connection, tables) {
+    const counts = new Map();
+    if (tables.length === 0) return counts;
+
+    const sql = tables
+      .map(table => `SELECT '${table}', COUNT(*) FROM \`${table}\``)
+      .join(' UNION ALL ');
+
+    const rows = await this.query(containerName, connection, sql);
+    rows.forEach(([table, count]) => counts.set(table, parseInt(count, 10) || 0));
+    return counts;
+  }
+
+  /**
+   * Calcular un hash por tabla a partir de un volcado SQL (estructura + datos)
+   * @param {string} dumpPath - Ruta del volcado en el host
+   * @returns {Promise<Map<string, string>>} - Tabla -> hash md5
+   */
+  static async hashDumpTables(dumpPath) {
+    const hashes = new Map();
+    const lines = readline.createInterface({
+      input: fs.createReadStream(dumpPath, { encoding: 'utf8' }),
+      crlfDelay: Infinity
+    });
+
+    let currentTable = null;
+    let hash = null;
+
+    const flush = () => {
+      if (currentTable && hash) {
+        hashes.set(currentTable, hash.digest('hex'));
+      }
+    };
+
+    for await (const line of lines) {
+      const tableMatch = line.match(/^DROP TABLE IF EXISTS `([^`]+)`/);
+      if (tableMatch) {
+        flush();
+        currentTable = tableMatch[1];
+        hash = crypto.createHash('md5');
+        continue;
+      }
+
+      // Ignorar comentarios y directivas que cambian entre volcados
+      if (!hash || !line.trim() || line.startsWith('--') || line.startsWith('/*!')) {
+        continue;
+      }
+
+      hash.update(line.replace(/ AUTO_INCREMENT=\d+/, ''));
+    }
+
+    flush();
+    return hashes;
+  }
+
+  /**
+   * Detener el contenedor de base de datos local (los datos persisten en el volumen)
+   * @param {Object} database - Configuración resuelta de la base de datos local
+   * @returns {Promise<void>}
+   */
+  static async stopLocalDatabase(database) {
+    await DockerHelper.removeContainer(database.containerName, 10);
+  }
+}
+
+module.exports = DatabaseHelper;
@@ -1,420 +1,599 @@
-const { exec, spawn } = require('child_process');
-const net = require('net');
-const chalk = require('chalk');
-
-class DockerHelper {
-  
-  /**
-   * Verificar si un puerto está disponible
-   * @param {number} port - Puerto a verificar
-   * @returns {Promise<boolean>} - true si está disponible, false si está ocupado
-   */
-  static async checkPortAvailable(port) {
-    return new Promise((resolve) => {
-      const server = net.createServer();
-      
-      server.listen(port, () => {
-        server.once('close', () => {
-          resolve(true);
-        });
-        server.close();
-      });
-      
-      server.on('error', () => {
-        resolve(false);
-      });
-    });
-  }
-
-  /**
-   * Verificar si Docker está disponible y corriendo
-   * @returns {Promise<boolean>} - true si Docker está disponible
-   */
-  static async checkDockerAvailable() {
-    return new Promise((resolve) => {
-      exec('docker info', (error) => {
-        resolve(!error);
-      });
-    });
-  }
-
-  /**
-   * Obtener información detallada de Docker
-   * @returns {Promise<Object>} - Información de Docker o error
-   */
-  static async getDockerInfo() {
-    return new Promise((resolve, reject) => {
-      exec('docker version --format "{{.Server.Version}}"', (error, stdout) => {
-        if (error) {
-          reject(error);
-        } else {
-          resolve({
-            version: stdout.trim(),
-            available: true
-          });
-        }
-      });
-    });
-  }
-
-  /**
-   * Limpiar contenedores de wpsite
-   * @param {string} pattern - Patrón de nombres a limpiar (opcional)
-   * @returns {Promise<number>} - Número de contenedores limpiados
-   */
-  static async cleanupContainers(pattern = 'wpsite-dev-*') {
-    return new Promise((resolve) => {
-      exec('docker ps -aq --filter "name=wpsite-dev"', (error, stdout) => {
-        if (error || !stdout.trim()) {
-          resolve(0);
-          return;
-        }
-
-        const containerIds = stdout.trim().split('\n').filter(id => id);
-        
-        if (containerIds.length > 0) {
-          const cleanupCmd = spawn('docker', ['rm', '-f', ...containerIds], { stdio: 'pipe' });
-          cleanupCmd.on('close', () => resolve(containerIds.length));
-        } else {
-          resolve(0);
-        }
-      });
-    });
-  }
-
-  /**
-   * Verificar si una imagen Docker existe localmente
-   * @param {string} imageName - Nombre de la imagen a verificar
-   * @returns {Promise<boolean>} - true si existe
-   */
-  static async checkImageExists(imageName) {
-    return new Promise((resolve) => {
-      exec(`docker images -q ${imageName}`, (error, stdout) => {
-        resolve(!error && stdout.trim() !== '');
-      });
-    });
-  }
-
-  /**
-   * Descargar imagen Docker si no existe
-   * @param {string} imageName - Nombre de la imagen
-   * @param {Object} spinner - Spinner para mostrar progreso (opcional)
-   * @returns {Promise<void>}
-   */
-  static async pullImageIfNeeded(imageName, spinner) {
-    const exists = await this.checkImageExists(imageName);
-    
-    if (!exists) {
-      if (spinner) {
-        spinner.text = `Descargando imagen Docker: ${imageName}...`;
-      }
-      
-      return new Promise((resolve, reject) => {
-        const pullCmd = spawn('docker', ['pull', imageName], { stdio: 'pipe' });
-        
-        pullCmd.on('close', (code) => {
-          if (code === 0) {
-            resolve();
-          } else {
-            reject(new Error(`Error descargando imagen ${imageName}`));
-          }
-        });
-      });
-    }
-  }
-
-  /**
-   * Obtener logs de un contenedor
-   * @param {string} containerId - ID del contenedor
-   * @param {number} lines - Número de líneas a obtener (por defecto 50)
-   * @returns {Promise<Object>} - Logs stdout y stderr
-   */
-  static async getContainerLogs(containerId, lines = 50) {
-    return new Promise((resolve, reject) => {
-      exec(`docker logs --tail ${lines} ${containerId}`, (error, stdout, stderr) => {
-        if (error) {
-          reject(error);
-        } else {
-          resolve({
-            stdout: stdout.trim(),
-            stderr: stderr.trim()
-          });
-        }
-      });
-    });
-  }
-
-  /**
-   * Verificar si un contenedor está corriendo
-   * @param {string} containerName - Nombre del contenedor
-   * @returns {Promise<boolean>} - true si está corriendo
-   */
-  static async isContainerRunning(containerName) {
-    return new Promise((resolve) => {
-      exec(`docker ps --filter "name=${containerName}" --format "{{.Names}}"`, (error, stdout) => {
-        resolve(!error && stdout.trim() === containerName);
-      });
-    });
-  }
-
-  /**
-   * Obtener estadísticas de un contenedor
-   * @param {string} containerId - ID del contenedor
-   * @returns {Promise<Object>} - Estadísticas del contenedor
-   */
-  static async getContainerStats(containerId) {
-    return new Promise((resolve, reject) => {
-      exec(`docker stats ${containerId} --no-stream --format "table {{.Container}}\\t{{.CPUPerc}}\\t{{.MemUsage}}"`, (error, stdout) => {
-        if (error) {
-          reject(error);
-        } else {
-          const lines = stdout.trim().split('\n');
-          if (lines.length > 1) {
-            const stats = lines[1].split('\t');
-            resolve({
-              container: stats[0],
-              cpu: stats[1],
-              memory: stats[2]
-            });
-          } else {
-            resolve(null);
-          }
-        }
-      });
-    });
-  }
-
-  /**
-   * Ejecutar comando dentro de un contenedor
-   * @param {string} containerId - ID del contenedor
-   * @param {string} command - Comando a ejecutar
-   * @returns {Promise<string>} - Output del comando
-   */
-  static async execInContainer(containerId, command) {
-    return new Promise((resolve, reject) => {
-      const execCmd = spawn('docker', ['exec', containerId, 'sh', '-c', command], { stdio: 'pipe' });
-      
-      let output = '';
-      let errorOutput = '';
-      
-      execCmd.stdout.on('data', (data) => {
-        output += data.toString();
-      });
-      
-      execCmd.stderr.on('data', (data) => {
-        errorOutput += data.toString();
-      });
-      
-      execCmd.on('close', (code) => {
-        if (code === 0) {
-          resolve(output.trim());
-        } else {
-          reject(new Error(errorOutput.trim() || 'Command failed'));
-        }
-      });
-    });
-  }
-
-  /**
-   * Crear red Docker si no existe
-   * @param {string} networkName - Nombre de la red
-   * @returns {Promise<void>}
-   */
-  static async ensureNetwork(networkName) {
-    return new Promise((resolve) => {
-      exec(`docker network ls --filter name=${networkName} --format "{{.Name}}"`, (error, stdout) => {
-        if (error || stdout.trim() !== networkName) {
-          // Crear red
-          const createCmd = spawn('docker', ['network', 'create', networkName], { stdio: 'pipe' });
-          createCmd.on('close', () => resolve());
-        } else {
-          resolve();
-        }
-      });
-    });
-  }
-
-  /**
-   * Obtener información del sistema Docker
-   * @returns {Promise<Object>} - Información del sistema
-   */
-  static async getSystemInfo() {
-    return new Promise((resolve, reject) => {
-      exec('docker system df --format "table {{.Type}}\\t{{.Total}}\\t{{.Active}}\\t{{.Size}}"', (error, stdout) => {
-        if (error) {
-          reject(error);
-        } else {
-          const lines = stdout.trim().split('\n');
-          const data = {};
-          
-          if (lines.length > 1) {
-            lines.slice(1).forEach(line => {
-              const parts = line.split('\t');
-              if (parts.length >= 4) {
-                data[parts[0].toLowerCase()] = {
-                  total: parts[1],
-                  active: parts[2],
-                  size: parts[3]
-                };
-              }
-            });
-          }
-          
-          resolve(data);
-        }
-      });
-    });
-  }
-
-  /**
-   * Limpiar sistema Docker (contenedores parados, imágenes no usadas, etc.)
-   * @param {boolean} aggressive - Si true, limpia más agresivamente
-   * @returns {Promise<string>} - Output del comando de limpieza
-   */
-  static async cleanupSystem(aggressive = false) {
-    return new Promise((resolve, reject) => {
-      const command = aggressive ? 'docker system prune -af' : 'docker system prune -f';
-      
-      exec(command, (error, stdout) => {
-        if (error) {
-          reject(error);
-        } else {
-          resolve(stdout.trim());
-        }
-      });
-    });
-  }
-
-  /**
-   * Verificar conectividad de red desde un contenedor
-   * @param {string} containerId - ID del contenedor
-   * @param {string} host - Host a verificar (por defecto google.com)
-   * @returns {Promise<boolean>} - true si hay conectividad
-   */
-  static async checkNetworkConnectivity(containerId, host = 'google.com') {
-    try {
-      await this.execInContainer(containerId, `ping -c 1 ${host}`);
-      return true;
-    } catch (error) {
-      return false;
-    }
-  }
-
-  /**
-   * Obtener IP del contenedor
-   * @param {string} containerId - ID del contenedor
-   * @returns {Promise<string>} - IP del contenedor
-   */
-  static async getContainerIP(containerId) {
-    return new Promise((resolve, reject) => {
-      exec(`docker inspect ${containerId} --format "{{.NetworkSettings.IPAddress}}"`, (error, stdout) => {
-        if (error) {
-          reject(error);
-        } else {
-          resolve(stdout.trim());
-        }
-      });
-    });
-  }
-
-  /**
-   * Verificar salud de Docker
-   * @returns {Promise<Object>} - Estado de salud de Docker
-   */
-  static async checkDockerHealth() {
-    const health = {
-      running: false,
-      version: null,
-      containers: 0,
-      images: 0,
-      volumes: 0,
-      networks: 0,
-      diskUsage: null
-    };
-
-    try {
-      // Verificar si Docker está corriendo
-      health.running = await this.checkDockerAvailable();
-
-      if (health.running) {
-        // Obtener versión
-        const info = await this.getDockerInfo();
-        health.version = info.version;
-
-        // Contar recursos
-        const counts = await Promise.all([
-          this.countContainers(),
-          this.countImages(),
-          this.countVolumes(),
-          this.countNetworks()
-        ]);
-
-        health.containers = counts[0];
-        health.images = counts[1];
-        health.volumes = counts[2];
-        health.networks = counts[3];
-
-        // Obtener uso de disco
-        try {
-          health.diskUsage = await this.getSystemInfo();
-        } catch (error) {
-          // Ignorar errores de disk usage
-        }
-      }
-    } catch (error) {
-      // Mantener valores por defecto en caso de error
-    }
-
-    return health;
-  }
-
-  /**
-   * Contar contenedores
-   * @returns {Promise<number>} - Número de contenedores
-   */
-  static async countContainers() {
-    return new Promise((resolve) => {
-      exec('docker ps -aq | wc -l', (error, stdout) => {
-        resolve(error ? 0 : parseInt(stdout.trim()) || 0);
-      });
-    });
-  }
-
-  /**
-   * Contar imágenes
-   * @returns {Promise<number>} - Número de imágenes
-   */
-  static async countImages() {
-    return new Promise((resolve) => {
-      exec('docker images -q | wc -l', (error, stdout) => {
-        resolve(error ? 0 : parseInt(stdout.trim()) || 0);
-      });
-    });
-  }
-
-  /**
-   * Contar volúmenes
-   * @returns {Promise<number>} - Número de volúmenes
-   */
-  static async countVolumes() {
-    return new Promise((resolve) => {
-      exec('docker volume ls -q | wc -l', (error, stdout) => {
-        resolve(error ? 0 : parseInt(stdout.trim()) || 0);
-      });
-    });
-  }
-
-  /**
-   * Contar redes
-   * @returns {Promise<number>} - Número de redes
-   */
-  static async countNetworks() {
-    return new Promise((resolve) => {
-      exec('docker network ls -q | wc -l', (error, stdout) => {
-        resolve(error ? 0 : parseInt(stdout.trim()) || 0);
-      });
-    });
-  }
-}
-
+const { exec, execFile, spawn } = require('child_process');
+const net = require('net');
+const chalk = require('chalk');
+
+class DockerHelper {
+  
+  /**
+   * Verificar si un puerto está disponible
+   * @param {number} port - Puerto a verificar
+   * @returns {Promise<boolean>} - true si está disponible, false si está ocupado
+   */
+  static async checkPortAvailable(port) {
+    return new Promise((resolve) => {
+      const server = net.createServer();
+      
+      server.listen(port, () => {
+        server.once('close', () => {
+          resolve(true);
+        });
+        server.close();
+      });
+      
+      server.on('error', () => {
+        resolve(false);
+      });
+    });
+  }
+
+  /**
+   * Verificar si Docker está disponible y corriendo
+   * @returns {Promise<boolean>} - true si Docker está disponible
+   */
+  static async checkDockerAvailable() {
+    return new Promise((resolve) => {
+      exec('docker info', (error) => {
+        resolve(!error);
+      });
+    });
+  }
+
+  /**
+   * Obtener información detallada de Docker
+   * @returns {Promise<Object>} - Información de Docker o error
+   */
+  static async getDockerInfo() {
+    return new Promise((resolve, reject) => {
+      exec('docker version --format "{{.Server.Version}}"', (error, stdout) => {
+        if (error) {
+          reject(error);
+        } else {
+          resolve({
+            version: stdout.trim(),
+            available: true
+          });
+        }
+      });
+    });
+  }
+
+  /**
+   * Limpiar contenedores de wpsite de un proyecto
+   * @param {string} projectId - ID del proyecto (ConfigHelper.getProjectInfo)
+   * @returns {Promise<number>} - Número de contenedores limpiados
+   */
+  static async cleanupContainers(projectId) {
+    return new Promise((resolve) => {
+      exec(`docker ps -aq --filter "label=wpsite.project=${projectId}"`, (error, stdout) => {
+        if (error || !stdout.trim()) {
+          resolve(0);
+          return;
+        }
+
+        const containerIds = stdout.trim().split('\n').filter(id => id);
+        
+        if (containerIds.length > 0) {
+          const cleanupCmd = spawn('docker', ['rm', '-f', ...containerIds], { stdio: 'pipe' });
+          cleanupCmd.on('close', () => resolve(containerIds.length));
+        } else {
+          resolve(0);
+        }
+      });
+    });
+  }
+
+  /**
+   * Construir argumentos --label de docker run para identificar un proyecto wpsite
+   * @param {Object} project - Proyecto de ConfigHelper.getProjectInfo
+   * @param {string} role - Rol del contenedor (wordpress, database)
+   * @param {Object} extra - Etiquetas adicionales (p. ej. puerto)
+   * @returns {string[]} - Argumentos para docker run
+   */
+  static buildProjectLabels(project, role, extra = {}) {
+    const labels = Object.assign({
+      'wpsite.project': project.id,
+      'wpsite.name': project.name,
+      'wpsite.dir': project.dir,
+      'wpsite.role': role
+    }, extra);
+
+    return Object.entries(labels).reduce((args, [key, value]) => {
+      args.push('--label', `${key}=${value}`);
+      return args;
+    }, []);
+  }
+
+  /**
+   * Listar contenedores wpsite (de todos los proyectos o de uno en concreto)
+   * @param {string} projectId - ID del proyecto (opcional)
+   * @returns {Promise<Object[]>} - Contenedores con sus etiquetas
+   */
+  static async listProjectContainers(projectId) {
+    const filter = projectId ? `label=wpsite.project=${projectId}` : 'label=wpsite.project';
+    const format = [
+      '{{.ID}}',
+      '{{.Names}}',
+      '{{.State}}',
+      '{{.Status}}',
+      '{{.Label "wpsite.project"}}',
+      '{{.Label "wpsite.name"}}',
+      '{{.Label "wpsite.dir"}}',
+      '{{.Label "wpsite.role"}}',
+      '{{.Label "wpsite.port"}}'
+    ].join('\\t');
+
+    return new Promise((resolve) => {
+      execFile('docker', ['ps', '-a', '--filter', filter, '--format', format], (error, stdout) => {
+        if (error || !stdout.trim()) {
+          resolve([]);
+          return;
+        }
+
+        resolve(stdout.trim().split('\n').map((line) => {
+          const [id, name, state, status, project, projectName, dir, role, port] = line.split('\t');
+          return { id, name, state, status, project, projectName, dir, role, port: port || null };
+        }));
+      });
+    });
+  }
+
+  /**
+   * Buscar el primer puerto libre a partir de uno dado
+   * @param {number} startPort - Puerto inicial
+   * @param {number} maxTries - Puertos a probar
+   * @returns {Promise<number|null>} - Puerto libre o null si no hay
+   */
+  static async findAvailablePort(startPort, maxTries = 50) {
+    const first = parseInt(startPort, 10);
+
+    for (let port = first; port < first + maxTries; port++) {
+      if (await this.checkPortAvailable(port)) {
+        return port;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Detener y eliminar un contenedor por nombre o ID (si no existe, no hace nada)
+   * @param {string} container - Nombre o ID del contenedor
+   * @param {number} stopTimeout - Segundos de espera antes de forzar (0 = forzar directamente)
+   * @returns {Promise<void>}
+   */
+  static async removeContainer(container, stopTimeout = 0) {
+    return new Promise((resolve) => {
+      const removeCmd = () => {
+        const rmCmd = spawn('docker', ['rm', '-f', container], { stdio: 'pipe' });
+        rmCmd.on('close', () => resolve());
+      };
+
+      if (stopTimeout > 0) {
+        const stopCmd = spawn('docker', ['stop', '-t', String(stopTimeout), container], { stdio: 'pipe' });
+        stopCmd.on('close', removeCmd);
+      } else {
+        removeCmd();
+      }
+    });
+  }
+
+  /**
+   * Verificar si una imagen Docker existe localmente
+   * @param {string} imageName - Nombre de la imagen a verificar
+   * @returns {Promise<boolean>} - true si existe
+   */
+  static async checkImageExists(imageName) {
+    return new Promise((resolve) => {
+      exec(`docker images -q ${imageName}`, (error, stdout) => {
+        resolve(!error && stdout.trim() !== '');
+      });
+    });
+  }
+
+  /**
+   * Descargar imagen Docker si no existe
+   * @param {string} imageName - Nombre de la imagen
+   * @param {Object} spinner - Spinner para mostrar progreso (opcional)
+   * @returns {Promise<void>}
+   */
+  static async pullImageIfNeeded(imageName, spinner) {
+    const exists = await this.checkImageExists(imageName);
+    
+    if (!exists) {
+      if (spinner) {
+        spinner.text = `Descargando imagen Docker: ${imageName}...`;
+      }
+      
+      return new Promise((resolve, reject) => {
+        const pullCmd = spawn('docker', ['pull', imageName], { stdio: 'pipe' });
+        
+        pullCmd.on('close', (code) => {
+          if (code === 0) {
+            resolve();
+          } else {
+            reject(new Error(`Error descargando imagen ${imageName}`));
+          }
+        });
+      });
+    }
+  }
+
+  /**
+   * Obtener logs de un contenedor
+   * @param {string} containerId - ID del contenedor
+   * @param {number} lines - Número de líneas a obtener (por defecto 50, null = todas)
+   * @param {Object} options - { since (Date), timestamps }
+   * @returns {Promise<Object>} - Logs stdout y stderr
+   */
+  static async getContainerLogs(containerId, lines = 50, options = {}) {
+    const args = ['logs'];
+    if (lines) args.push('--tail', String(lines));
+    if (options.since) args.push('--since', options.since.toISOString());
+    if (options.timestamps) args.push('--timestamps');
+    args.push(containerId);
+
+    return new Promise((resolve, reject) => {
+      execFile('docker', args, { maxBuffer: 64 * 1024 * 1024 }, (error, stdout, stderr) => {
+        if (error) {
+          reject(error);
+        } else {
+          resolve({
+            stdout: stdout.trim(),
+            stderr: stderr.trim()
+          });
+        }
+      });
+    });
+  }
+
+  /**
+   * Buscar el contenedor en ejecución de un proyecto por sus etiquetas
+   * @param {string} projectId - ID del proyecto (ConfigHelper.getProjectInfo)
+   * @param {string} role - Rol del contenedor ("wordpress" o "database")
+   * @returns {Promise<Object|null>} - Contenedor o null si no está corriendo
+   */
+  static async findProjectContainer(projectId, role = 'wordpress') {
+    const containers = await this.listProjectContainers(projectId);
+    return containers.find(container => container.role === role && container.state === 'running') || null;
+  }
+
+  /**
+   * Verificar si un contenedor está corriendo
+   * @param {string} containerName - Nombre del contenedor
+   * @returns {Promise<boolean>} - true si está corriendo
+   */
+  static async isContainerRunning(containerName) {
+    return new Promise((resolve) => {
+      exec(`docker ps --filter "name=${containerName}" --format "{{.Names}}"`, (error, stdout) => {
+        resolve(!error && stdout.trim() === containerName);
+      });
+    });
+  }
+
+  /**
+   * Obtener estadísticas de un contenedor
+   * @param {string} containerId - ID del contenedor
+   * @returns {Promise<Object>} - Estadísticas del contenedor
+   */
+  static async getContainerStats(containerId) {
+    return new Promise((resolve, reject) => {
+      exec(`docker stats ${containerId} --no-stream --format "table {{.Container}}\\t{{.CPUPerc}}\\t{{.MemUsage}}"`, (error, stdout) => {
+        if (error) {
+          reject(error);
+        } else {
+          const lines = stdout.trim().split('\n');
+          if (lines.length > 1) {
+            const stats = lines[1].split('\t');
+            resolve({
+              container: stats[0],
+              cpu: stats[1],
+              memory: stats[2]
+            });
+          } else {
+            resolve(null);
+          }
+        }
+      });
+    });
+  }
+
+  /**
+   * Ejecutar comando dentro de un contenedor
+   * @param {string} containerId - ID del contenedor
+   * @param {string|string[]} command - Comando para sh -c, o argumentos a ejecutar tal cual
+   * @param {Object} options - { user, workdir, interactive, tty }
+   *   interactive: conecta la terminal (stdin/stdout/stderr) y resuelve con el código de salida
+   * @returns {Promise<string|number>} - Output del comando (o código de salida si es interactivo)
+   */
+  static async execInContainer(containerId, command, options = {}) {
+    const args = ['exec'];
+    if (options.interactive) args.push('-i');
+    if (options.tty) args.push('-t');
+    if (options.user) args.push('-u', options.user);
+    if (options.workdir) args.push('-w', options.workdir);
+    args.push(containerId, ...(Array.isArray(command) ? command : ['sh', '-c', command]));
+
+    if (options.interactive) {
+      return new Promise((resolve, reject) => {
+        const execCmd = spawn('docker', args, { stdio: 'inherit' });
+        execCmd.on('error', reject);
+        execCmd.on('close', (code, signal) => {
+          resolve(code === null ? (signal === 'SIGINT' ? 130 : 1) : code);
+        });
+      });
+    }
+
+    return new Promise((resolve, reject) => {
+      const execCmd = spawn('docker', args, { stdio: 'pipe' });
+      
+      let output = '';
+      let errorOutput = '';
+      
+      execCmd.stdout.on('data', (data) => {
+        output += data.toString();
+      });
+      
+      execCmd.stderr.on('data', (data) => {
+        errorOutput += data.toString();
+      });
+      
+      execCmd.on('close', (code) => {
+        if (code === 0) {
+          resolve(output.trim());
+        } else {
+          reject(new Error(errorOutput.trim() || 'Command failed'));
+        }
+      });
+    });
+  }
+
+  /**
+   * Copiar un archivo desde un contenedor al host
+   * @param {string} containerId - ID o nombre del contenedor
+   * @param {string} containerPath - Ruta dentro del contenedor
+   * @param {string} hostPath - Ruta de destino en el host
+   * @returns {Promise<void>}
+   */
+  static async copyFromContainer(containerId, containerPath, hostPath) {
+    return this.runDockerCopy([`${containerId}:${containerPath}`, hostPath]);
+  }
+
+  /**
+   * Copiar un archivo del host a un contenedor
+   * @param {string} containerId - ID o nombre del contenedor
+   * @param {string} hostPath - Ruta del archivo en el host
+   * @param {string} containerPath - Ruta de destino dentro del contenedor
+   * @returns {Promise<void>}
+   */
+  static async copyToContainer(containerId, hostPath, containerPath) {
+    return this.runDockerCopy([hostPath, `${containerId}:${containerPath}`]);
+  }
+
+  /**
+   * Ejecutar docker cp con los argumentos indicados
+   * @param {string[]} args - Origen y destino
+   * @returns {Promise<void>}
+   */
+  static async runDockerCopy(args) {
+    return new Promise((resolve, reject) => {
+      const copyCmd = spawn('docker', ['cp', ...args], { stdio: 'pipe' });
+
+      let errorOutput = '';
+
+      copyCmd.stderr.on('data', (data) => {
+        errorOutput += data.toString();
+      });
+
+      copyCmd.on('close', (code) => {
+        if (code === 0) {
+          resolve();
+        } else {
+          reject(new Error(errorOutput.trim() || 'docker cp failed'));
+        }
+      });
+    });
+  }
+
+  /**
+   * Crear red Docker si no existe
+   * @param {string} networkName - Nombre de la red
+   * @returns {Promise<void>}
+   */
+  static async ensureNetwork(networkName) {
+    return new Promise((resolve) => {
+      exec(`docker network ls --filter name=${networkName} --format "{{.Name}}"`, (error, stdout) => {
+        if (error || stdout.trim() !== networkName) {
+          // Crear red
+          const createCmd = spawn('docker', ['network', 'create', networkName], { stdio: 'pipe' });
+          createCmd.on('close', () => resolve());
+        } else {
+          resolve();
+        }
+      });
+    });
+  }
+
+  /**
+   * Obtener información del sistema Docker
+   * @returns {Promise<Object>} - Información del sistema
+   */
+  static async getSystemInfo() {
+    return new Promise((resolve, reject) => {
+      exec('docker system df --format "table {{.Type}}\\t{{.Total}}\\t{{.Active}}\\t{{.Size}}"', (error, stdout) => {
+        if (error) {
+          reject(error);
+        } else {
+          const lines = stdout.trim().split('\n');
+          const data = {};
+          
+          if (lines.length > 1) {
+            lines.slice(1).forEach(line => {
+              const parts = line.split('\t');
+              if (parts.length >= 4) {
+                data[parts[0].toLowerCase()] = {
+                  total: parts[1],
+                  active: parts[2],
+                  size: parts[3]
+                };
+              }
+            });
+          }
+          
+          resolve(data);
+        }
+      });
+    });
+  }
+
+  /**
+   * Limpiar sistema Docker (contenedores parados, imágenes no usadas, etc.)
+   * @param {boolean} aggressive - Si true, limpia más agresivamente
+   * @returns {Promise<string>} - Output del comando de limpieza
+   */
+  static async cleanupSystem(aggressive = false) {
+    return new Promise((resolve, reject) => {
+      const command = aggressive ? 'docker system prune -af' : 'docker system prune -f';
+      
+      exec(command, (error, stdout) => {
+        if (error) {
+          reject(error);
+        } else {
+          resolve(stdout.trim());
+        }
+      });
+    });
+  }
+
+  /**
+   * Verificar conectividad de red desde un contenedor
+   * @param {string} containerId - ID del contenedor
+   * @param {string} host - Host a verificar (por defecto google.com)
+   * @returns {Promise<boolean>} - true si hay conectividad
+   */
+  static async checkNetworkConnectivity(containerId, host = 'google.com') {
+    try {
+      await this.execInContainer(containerId, `ping -c 1 ${host}`);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Obtener IP del contenedor
+   * @param {string} containerId - ID del contenedor
+   * @returns {Promise<string>} - IP del contenedor
+   */
+  static async getContainerIP(containerId) {
+    return new Promise((resolve, reject) => {
+      exec(`docker inspect ${containerId} --format "{{.NetworkSettings.IPAddress}}"`, (error, stdout) => {
+        if (error) {
+          reject(error);
+        } else {
+          resolve(stdout.trim());
+        }
+      });
+    });
+  }
+
+  /**
+   * Verificar salud de Docker
+   * @returns {Promise<Object>} - Estado de salud de Docker
+   */
+  static async checkDockerHealth() {
+    const health = {
+      running: false,
+      version: null,
+      containers: 0,
+      images: 0,
+      volumes: 0,
+      networks: 0,
+      diskUsage: null
+    };
+
+    try {
+      // Verificar si Docker está corriendo
+      health.running = await this.checkDockerAvailable();
+
+      if (health.running) {
+        // Obtener versión
+        const info = await this.getDockerInfo();
+        health.version = info.version;
+
+        // Contar recursos
+        const counts = await Promise.all([
+          this.countContainers(),
+          this.countImages(),
+          this.countVolumes(),
+          this.countNetworks()
+        ]);
+
+        health.containers = counts[0];
+        health.images = counts[1];
+        health.volumes = counts[2];
+        health.networks = counts[3];
+
+        // Obtener uso de disco
+        try {
+          health.diskUsage = await this.getSystemInfo();
+        } catch (error) {
+          // Ignorar errores de disk usage
+        }
+      }
+    } catch (error) {
+      // Mantener valores por defecto en caso de error
+    }
+
+    return health;
+  }
+
+  /**
+   * Contar contenedores
+   * @returns {Promise<number>} - Número de contenedores
+   */
+  static async countContainers() {
+    return new Promise((resolve) => {
+      exec('docker ps -aq | wc -l', (error, stdout) => {
+        resolve(error ? 0 : parseInt(stdout.trim()) || 0);
+      });
+    });
+  }
+
+  /**
+   * Contar imágenes
+   * @returns {Promise<number>} - Número de imágenes
+   */
+  static async countImages() {
+    return new Promise((resolve) => {
+      exec('docker images -q | wc -l', (error, stdout) => {
+        resolve(error ? 0 : parseInt(stdout.trim()) || 0);
+      });
+    });
+  }
+
+  /**
+   * Contar volúmenes
+   * @returns {Promise<number>} - Número de volúmenes
+   */
+  static async countVolumes() {
+    return new Promise((resolve) => {
+      exec('docker volume ls -q | wc -l', (error, stdout) => {
+        resolve(error ? 0 : parseInt(stdout.trim()) || 0);
+      });
+    });
+  }
+
+  /**
+   * Contar redes
+   * @returns {Promise<number>} - Número de redes
+   */
+  static async countNetworks() {
+    return new Promise((resolve) => {
+      exec('docker network ls -q | wc -l', (error, stdout) => {
+        resolve(error ? 0 : parseInt(stdout.trim()) || 0);
+      });
+    });
+  }
+}
+
 module.exports = DockerHelper;
\ No newline at end of file
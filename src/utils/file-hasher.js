@@ -0,0 +1,162 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const INDEX_FILE = path.join('.wpsite', 'sync', 'hash-index.json');
+const INDEX_VERSION = 2;
+const DEFAULT_CONCURRENCY = 8;
+// Peor resolución habitual de las fechas de modificación (FAT guarda segundos pares)
+const MTIME_RESOLUTION_MS = 2000;
+
+// Hashes MD5 de archivos leídos por streaming, con un máximo de lecturas simultáneas
+// y un índice persistente (tamaño + fecha de modificación) para no releer lo que no cambió
+class FileHasher {
+  constructor(options = {}) {
+    this.rootDir = options.rootDir || process.cwd(); // las rutas del índice son relativas al proyecto
+    this.indexPath = options.indexPath || path.resolve(this.rootDir, INDEX_FILE);
+    this.concurrency = options.concurrency || DEFAULT_CONCURRENCY;
+    this.entries = new Map(); // ruta -> { size, mtimeMs, hash, checkedAt }
+    this.used = new Set(); // rutas consultadas en esta sesión (las demás no se guardan)
+    this.pending = new Map(); // ruta -> promesa del hash en curso
+    this.queue = []; // lecturas esperando turno
+    this.active = 0;
+    this.stats = { cached: 0, hashed: 0 };
+  }
+
+  // Cargar el índice de la sesión anterior (si falta o está corrupto se empieza de cero)
+  load() {
+    try {
+      const data = JSON.parse(fs.readFileSync(this.indexPath, 'utf8'));
+      if (data.version !== INDEX_VERSION) return;
+
+      Object.keys(data.files || {}).forEach((relativePath) => {
+        const [size, mtimeMs, hash, checkedAt] = data.files[relativePath];
+        this.entries.set(path.resolve(this.rootDir, relativePath), { size, mtimeMs, hash, checkedAt });
+      });
+    } catch (error) {
+      // Primer arranque o índice ilegible
+    }
+  }
+
+  // Guardar el índice con los archivos usados en esta sesión
+  save() {
+    const files = {};
+
+    this.used.forEach((filePath) => {
+      const entry = this.entries.get(filePath);
+      if (entry) {
+        files[path.relative(this.rootDir, filePath)] = [entry.size, entry.mtimeMs, entry.hash, entry.checkedAt];
+      }
+    });
+
+    try {
+      fs.mkdirSync(path.dirname(this.indexPath), { recursive: true });
+      fs.writeFileSync(this.indexPath, JSON.stringify({ version: INDEX_VERSION, files }));
+    } catch (error) {
+      // El índice solo acelera el siguiente arranque
+    }
+  }
+
+  // Hash del archivo (null si no existe o no se puede leer)
+  // Todo el trabajo del archivo, stat incluido, ocupa un solo hueco del límite
+  hash(filePath) {
+    if (this.pending.has(filePath)) {
+      return this.pending.get(filePath);
+    }
+
+    const promise = this.limit(() => this.computeHash(filePath)).finally(() => this.pending.delete(filePath));
+    this.pending.set(filePath, promise);
+    return promise;
+  }
+
+  async computeHash(filePath) {
+    const checkedAt = Date.now();
+    let stats;
+    try {
+      stats = await fs.promises.stat(filePath);
+    } catch (error) {
+      this.forget(filePath);
+      return null;
+    }
+    if (!stats.isFile()) return null;
+
+    this.used.add(filePath);
+
+    // Camino rápido: mismo tamaño y fecha que la última vez
+    const entry = this.entries.get(filePath);
+    if (entry && entry.size === stats.size && entry.mtimeMs === stats.mtimeMs && !this.isRacy(entry)) {
+      this.stats.cached++;
+      return entry.hash;
+    }
+
+    const hash = await this.hashStream(filePath);
+    if (hash) {
+      // Se guarda la fecha leída antes de empezar: si el archivo cambió durante la lectura, se recalcula
+      this.entries.set(filePath, { size: stats.size, mtimeMs: stats.mtimeMs, hash, checkedAt });
+      this.stats.hashed++;
+    }
+    return hash;
+  }
+
+  // Como en git: si el archivo se modificó poco antes de leerlo, otra escritura en el mismo
+  // instante (y con el mismo tamaño) no cambiaría la fecha, así que no se puede confiar en ella
+  isRacy(entry) {
+    return !(entry.checkedAt - entry.mtimeMs > MTIME_RESOLUTION_MS);
+  }
+
+  // Leer el archivo por bloques sin bloquear el event loop
+  hashStream(filePath) {
+    return new Promise((resolve) => {
+      const hash = crypto.createHash('md5');
+      const stream = fs.createReadStream(filePath);
+
+      stream.on('data', chunk => hash.update(chunk));
+      stream.on('end', () => resolve(hash.digest('hex')));
+      stream.on('error', () => resolve(null));
+    });
+  }
+
+  // Ejecutar la tarea cuando haya un hueco libre
+  limit(task) {
+    return new Promise((resolve, reject) => {
+      const run = () => {
+        this.active++;
+        task()
+          .then(resolve, reject)
+          .finally(() => {
+            this.active--;
+            if (this.queue.length > 0) {
+              this.queue.shift()();
+            }
+          });
+      };
+
+      if (this.active < this.concurrency) {
+        run();
+      } else {
+        this.queue.push(run);
+      }
+    });
+  }
+
+  // Hashes de muchos archivos, avisando del progreso
+  async hashAll(files, onProgress) {
+    let done = 0;
+    const hashes = new Map();
+
+    await Promise.all(files.map(async (filePath) => {
+      hashes.set(filePath, await this.hash(filePath));
+      done++;
+      if (onProgress) onProgress(done, files.length);
+    }));
+
+    return hashes;
+  }
+
+  forget(filePath) {
+    this.entries.delete(filePath);
+    this.used.delete(filePath);
+  }
+}
+
+module.exports = FileHasher;
@@ -0,0 +1,162 @@
+const http = require('http');
+
+const DEFAULTS = {
+  path: '/',
+  // Sin instalar, WordPress redirige a /wp-admin/install.php: también cuenta como listo
+  expectedStatus: [200, 301, 302, 303, 307, 308],
+  timeout: 5000,
+  retries: 30,
+  interval: 1000,
+  initialDelay: 3000
+};
+const MAX_BODY = 64 * 1024;
+
+class HealthCheck {
+
+  /**
+   * Configuración de la comprobación de arranque (server.healthCheck)
+   * @param {Object} config - Configuración del proyecto
+   * @returns {Object} - { path, expectedStatus, timeout, retries, interval, initialDelay }
+   */
+  static getHealthConfig(config = {}) {
+    const custom = (config.server && config.server.healthCheck) || {};
+    const health = Object.assign({}, DEFAULTS, custom);
+
+    health.path = `/${String(health.path).replace(/^\/+/, '')}`;
+    health.expectedStatus = [].concat(health.expectedStatus).map(status => parseInt(status, 10));
+    ['timeout', 'retries', 'interval', 'initialDelay'].forEach((key) => {
+      const value = parseInt(health[key], 10);
+      health[key] = isNaN(value) || value < 0 ? DEFAULTS[key] : value;
+    });
+    // Al menos un intento: sin ninguno no hay respuesta que diagnosticar
+    health.retries = Math.max(1, health.retries);
+
+    return health;
+  }
+
+  /**
+   * Hacer una petición GET sin seguir redirecciones
+   * @param {string} url - URL a comprobar
+   * @param {number} timeout - Tiempo máximo en ms
+   * @param {Object} headers - Cabeceras adicionales
+   * @returns {Promise<Object>} - { status, body } o { error }
+   */
+  static request(url, timeout, headers = {}) {
+    return new Promise((resolve) => {
+      const request = http.get(url, { headers }, (response) => {
+        let body = '';
+
+        response.on('data', (chunk) => {
+          if (body.length < MAX_BODY) {
+            body += chunk.toString('utf8');
+          }
+        });
+        response.on('end', () => resolve({ status: response.statusCode, body }));
+        response.on('error', error => resolve({ error }));
+      });
+
+      request.on('error', error => resolve({ error }));
+      request.setTimeout(timeout, () => {
+        request.destroy(Object.assign(new Error('timeout'), { code: 'ETIMEDOUT' }));
+      });
+    });
+  }
+
+  /**
+   * Esperar a que WordPress responda con un código esperado
+   * @param {number} port - Puerto local
+   * @param {Object} health - Configuración de getHealthConfig
+   * @param {Function} onAttempt - Callback (attempt, result) tras cada intento fallido
+   * @returns {Promise<Object>} - { ready, status, attempts, lastResult }
+   */
+  static async waitUntilReady(port, health, onAttempt) {
+    // 127.0.0.1 y no localhost: algunas versiones de Node resuelven localhost a ::1 (falso ECONNREFUSED)
+    // La cabecera Host mantiene localhost para que WordPress no redirija a su URL canónica
+    const url = `http://127.0.0.1:${port}${health.path}`;
+    const headers = { Host: `localhost:${port}` };
+    let lastResult = null;
+
+    await new Promise(resolve => setTimeout(resolve, health.initialDelay));
+
+    for (let attempt = 1; attempt <= health.retries; attempt++) {
+      lastResult = await this.request(url, health.timeout, headers);
+
+      if (!lastResult.error && health.expectedStatus.includes(lastResult.status)) {
+        return { ready: true, status: lastResult.status, attempts: attempt, lastResult };
+      }
+
+      if (onAttempt) onAttempt(attempt, lastResult);
+      if (attempt < health.retries) {
+        await new Promise(resolve => setTimeout(resolve, health.interval));
+      }
+    }
+
+    return { ready: false, status: lastResult && lastResult.status, attempts: health.retries, lastResult };
+  }
+
+  /**
+   * Explicar por qué WordPress no responde a partir de la última respuesta y los logs
+   * @param {Object} result - Resultado de waitUntilReady
+   * @param {Object} context - { health, containerRunning, logLines }
+   * @returns {Object} - { reason, hint }
+   */
+  static diagnose(result, context = {}) {
+    const lastResult = result.lastResult || {};
+    const body = lastResult.body || '';
+    const logLines = context.logLines || [];
+    const fatalLine = logLines.slice().reverse().find(line => /PHP (Fatal|Parse) error/.test(line)) ||
+      (body.match(/(Fatal|Parse) error:[^\n<]*/) || [])[0];
+
+    if (context.containerRunning === false) {
+      return {
+        reason: 'El contenedor de WordPress se detuvo durante el arranque',
+        hint: 'Revisa los logs de abajo: suele ser un error en la configuración de Apache o PHP del proyecto'
+      };
+    }
+
+    if (lastResult.error && ['ECONNREFUSED', 'ECONNRESET'].includes(lastResult.error.code)) {
+      return {
+        reason: 'El puerto no acepta conexiones (Apache no está escuchando o el puerto no está publicado)',
+        hint: 'Comprueba que nada más use el puerto y revisa los logs del contenedor'
+      };
+    }
+
+    if (lastResult.error && lastResult.error.code === 'ETIMEDOUT') {
+      return {
+        reason: `WordPress no respondió en ${(context.health || DEFAULTS).timeout} ms`,
+        hint: 'La base de datos remota puede ser lenta: aumenta server.healthCheck.timeout'
+      };
+    }
+
+    if (/Error establishing a database connection|Error al establecer una conexión con la base de datos/i.test(body)) {
+      return {
+        reason: 'WordPress no puede conectar con la base de datos',
+        hint: 'Revisa database en wpsite.config.js (host, usuario, contraseña) o prueba con --local-db'
+      };
+    }
+
+    if (fatalLine) {
+      return {
+        reason: 'Error fatal de PHP al cargar WordPress',
+        hint: fatalLine.trim()
+      };
+    }
+
+    if (lastResult.error) {
+      return {
+        reason: `Error de conexión: ${lastResult.error.message}`,
+        hint: 'Revisa los logs del contenedor'
+      };
+    }
+
+    const expected = (context.health || DEFAULTS).expectedStatus.join(', ');
+    return {
+      reason: `Respuesta HTTP ${lastResult.status} (se esperaba ${expected})`,
+      hint: lastResult.status >= 500
+        ? 'Probablemente un error de PHP: mira wpsite logs --php --debug'
+        : 'Ajusta server.healthCheck.path o expectedStatus en wpsite.config.js'
+    };
+  }
+}
+
+module.exports = HealthCheck;
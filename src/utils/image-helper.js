@@ -0,0 +1,306 @@
+const { execFile, spawn } = require('child_process');
+const chalk = require('chalk');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { version: CLI_VERSION } = require('../../package.json');
+
+const IMAGE_REPOSITORY = 'wpsite-wordpress';
+const DEFAULT_PHP_VERSION = '8.2';
+const KNOWN_PHP_VERSIONS = ['7.4', '8.0', '8.1', '8.2', '8.3'];
+const HASH_LABEL = 'wpsite.hash';
+const PACKAGE_DOCKERFILE = path.join(__dirname, '..', '..', 'Dockerfile');
+
+// Dockerfile mínimo si no hay uno en el proyecto ni en la instalación de wpsite
+const FALLBACK_DOCKERFILE = `ARG PHP_VERSION=${DEFAULT_PHP_VERSION}
+FROM wordpress:php\${PHP_VERSION}-apache
+ARG PHP_VERSION
+LABEL wpsite.php="\${PHP_VERSION}"
+
+# Actualizar repositorios e instalar Git
+RUN apt-get update && \\
+    apt-get install -y git && \\
+    apt-get clean && \\
+    rm -rf /var/lib/apt/lists/*
+
+# Xdebug instalado pero desactivado (lo activa wpsite dev --xdebug), fijado por versión de PHP
+RUN case "\${PHP_VERSION}" in \\
+      7.4) XDEBUG_VERSION=3.1.6 ;; \\
+      8.0|8.1|8.2|8.3) XDEBUG_VERSION=3.3.2 ;; \\
+      *) XDEBUG_VERSION=3.4.1 ;; \\
+    esac && \\
+    pecl install "xdebug-\${XDEBUG_VERSION}" && \\
+    rm -rf /tmp/pear
+
+# WP-CLI (wpsite wp ...)
+RUN curl -fsSL -o /usr/local/bin/wp https://raw.githubusercontent.com/wp-cli/builds/gh-pages/phar/wp-cli.phar && \\
+    chmod +x /usr/local/bin/wp
+ENV WP_CLI_CACHE_DIR=/tmp/wp-cli-cache
+
+EXPOSE 80
+CMD ["apache2-foreground"]
+`;
+
+class ImageHelper {
+
+  /**
+   * Resolver la versión de PHP del proyecto
+   * @param {Object} config - Configuración del proyecto
+   * @param {Object} options - Opciones de línea de comandos (php)
+   * @returns {string} - Versión mayor.menor, p. ej. "8.2"
+   */
+  static resolvePhpVersion(config = {}, options = {}) {
+    const configured = options.php || (config.php && config.php.version) || DEFAULT_PHP_VERSION;
+    const version = String(configured).trim();
+
+    if (!/^\d+\.\d+$/.test(version)) {
+      throw new Error(`php.version debe tener el formato mayor.menor (p. ej. "8.2"): ${version}`);
+    }
+
+    return version;
+  }
+
+  /**
+   * Indica si la versión tiene imagen oficial de WordPress conocida
+   * @param {string} phpVersion - Versión de PHP
+   * @returns {boolean}
+   */
+  static isKnownPhpVersion(phpVersion) {
+    return KNOWN_PHP_VERSIONS.includes(phpVersion);
+  }
+
+  /**
+   * Tag de la imagen de wpsite para una versión de PHP
+   * @param {string} phpVersion - Versión de PHP
+   * @returns {string} - Ej: "wpsite-wordpress:php8.2"
+   */
+  static getImageTag(phpVersion) {
+    return `${IMAGE_REPOSITORY}:php${phpVersion}`;
+  }
+
+  /**
+   * Imagen oficial de WordPress usada como base
+   * @param {string} phpVersion - Versión de PHP
+   * @returns {string} - Ej: "wordpress:php8.2-apache"
+   */
+  static getBaseImage(phpVersion) {
+    return `wordpress:php${phpVersion}-apache`;
+  }
+
+  /**
+   * Localizar el Dockerfile: el del proyecto tiene prioridad sobre el de wpsite
+   * @returns {Object} - { dockerfilePath, contextPath }
+   */
+  static resolveDockerfile() {
+    const projectDockerfile = path.join(process.cwd(), 'Dockerfile');
+
+    if (fs.existsSync(projectDockerfile)) {
+      return { dockerfilePath: projectDockerfile, contextPath: process.cwd() };
+    }
+
+    if (fs.existsSync(PACKAGE_DOCKERFILE)) {
+      return { dockerfilePath: PACKAGE_DOCKERFILE, contextPath: path.dirname(PACKAGE_DOCKERFILE) };
+    }
+
+    fs.writeFileSync(projectDockerfile, FALLBACK_DOCKERFILE);
+    console.log(chalk.blue('📝 Dockerfile creado'));
+    return { dockerfilePath: projectDockerfile, contextPath: process.cwd() };
+  }
+
+  /**
+   * Hash que identifica una build: contenido del Dockerfile, versión de wpsite y de PHP
+   * @param {string} dockerfilePath - Ruta del Dockerfile
+   * @param {string} phpVersion - Versión de PHP
+   * @returns {string}
+   */
+  static computeHash(dockerfilePath, phpVersion) {
+    return crypto.createHash('sha256')
+      .update(fs.readFileSync(dockerfilePath))
+      .update(`\0${CLI_VERSION}\0${phpVersion}`)
+      .digest('hex')
+      .substring(0, 16);
+  }
+
+  /**
+   * Leer el hash con el que se construyó una imagen
+   * @param {string} image - Imagen o ID
+   * @returns {Promise<string|null>} - Hash, '' si la imagen no tiene etiqueta, null si no existe
+   */
+  static async getImageHash(image) {
+    return new Promise((resolve) => {
+      execFile('docker', [
+        'image',
+        'inspect',
+        '--format',
+        `{{index .Config.Labels "${HASH_LABEL}"}}`,
+        image
+      ], (error, stdout) => {
+        if (error) {
+          resolve(null);
+          return;
+        }
+        const hash = stdout.trim();
+        resolve(hash === '<no value>' ? '' : hash);
+      });
+    });
+  }
+
+  /**
+   * Construir la imagen si falta o si el Dockerfile o la versión de wpsite cambiaron
+   * @param {string} phpVersion - Versión de PHP
+   * @param {Object} spinner - Spinner activo (se detiene mientras se muestra la build)
+   * @returns {Promise<boolean>} - true si se construyó
+   */
+  static async ensureImage(phpVersion, spinner) {
+    const image = this.getImageTag(phpVersion);
+    const { dockerfilePath, contextPath } = this.resolveDockerfile();
+    const expectedHash = this.computeHash(dockerfilePath, phpVersion);
+    const currentHash = await this.getImageHash(image);
+
+    if (currentHash === expectedHash) {
+      return false;
+    }
+
+    if (currentHash !== null) {
+      console.log(chalk.yellow(`\n🔄 El Dockerfile o la versión de wpsite cambiaron, reconstruyendo ${image}...`));
+    }
+
+    await this.build(phpVersion, { spinner, dockerfilePath, contextPath });
+    return true;
+  }
+
+  /**
+   * Construir la imagen mostrando la salida de docker build
+   * @param {string} phpVersion - Versión de PHP
+   * @param {Object} options - { spinner, noCache, dockerfilePath, contextPath }
+   * @returns {Promise<string>} - Tag construido
+   */
+  static async build(phpVersion, options = {}) {
+    const image = this.getImageTag(phpVersion);
+    const { dockerfilePath, contextPath } = options.dockerfilePath ? options : this.resolveDockerfile();
+    const hash = this.computeHash(dockerfilePath, phpVersion);
+    const spinner = options.spinner;
+
+    const args = [
+      'build',
+      '-t', image,
+      '--build-arg', `PHP_VERSION=${phpVersion}`,
+      '--label', `${HASH_LABEL}=${hash}`,
+      '--label', `wpsite.cli=${CLI_VERSION}`,
+      '-f', dockerfilePath
+    ];
+    if (options.noCache) {
+      args.push('--no-cache');
+    }
+    args.push(contextPath);
+
+    if (spinner) spinner.stop();
+    console.log(chalk.blue(`🐳 Construyendo ${image} (PHP ${phpVersion})...`));
+
+    await new Promise((resolve, reject) => {
+      const buildCmd = spawn('docker', args, { stdio: 'inherit' });
+
+      buildCmd.on('error', reject);
+      buildCmd.on('close', (code) => {
+        if (code === 0) {
+          resolve();
+        } else {
+          reject(new Error(`Error construyendo imagen Docker ${image}`));
+        }
+      });
+    });
+
+    console.log(chalk.green(`✅ Imagen Docker construida: ${image}`));
+    if (spinner) spinner.start();
+    return image;
+  }
+
+  /**
+   * Listar las variantes de la imagen construidas localmente
+   * @returns {Promise<Object[]>} - [{ tag, phpVersion, size, created }]
+   */
+  static async listVariants() {
+    return new Promise((resolve) => {
+      execFile('docker', [
+        'images',
+        IMAGE_REPOSITORY,
+        '--format',
+        '{{.Tag}}\\t{{.Size}}\\t{{.CreatedSince}}'
+      ], (error, stdout) => {
+        if (error) {
+          resolve([]);
+          return;
+        }
+
+        const variants = stdout.split('\n')
+          .filter(line => line.trim())
+          .map((line) => {
+            const [tag, size, created] = line.split('\t');
+            const match = tag.match(/^php(\d+\.\d+)$/);
+            return {
+              tag: `${IMAGE_REPOSITORY}:${tag}`,
+              phpVersion: match ? match[1] : null,
+              size,
+              created
+            };
+          });
+
+        resolve(variants);
+      });
+    });
+  }
+
+  /**
+   * Imágenes de wpsite que ya no corresponden al Dockerfile actual
+   * (builds antiguas sin tag, tags obsoletos o con otro hash)
+   * @param {boolean} all - Incluir también las imágenes vigentes
+   * @returns {Promise<Object[]>} - [{ id, tag, reason }]
+   */
+  static async findPrunableImages(all = false) {
+    const variants = await this.listVariants();
+    const dangling = await new Promise((resolve) => {
+      execFile('docker', [
+        'images',
+        '--filter', 'dangling=true',
+        '--filter', `label=${HASH_LABEL}`,
+        '--format', '{{.ID}}'
+      ], (error, stdout) => {
+        resolve(error ? [] : stdout.split('\n').filter(line => line.trim()));
+      });
+    });
+
+    const prunable = dangling.map(id => ({ id, tag: null, reason: 'build anterior sin tag' }));
+    const { dockerfilePath } = this.resolveDockerfile();
+
+    for (const variant of variants) {
+      if (all) {
+        prunable.push({ id: variant.tag, tag: variant.tag, reason: 'todas las variantes' });
+      } else if (!variant.phpVersion) {
+        prunable.push({ id: variant.tag, tag: variant.tag, reason: 'tag obsoleto' });
+      } else if (await this.getImageHash(variant.tag) !== this.computeHash(dockerfilePath, variant.phpVersion)) {
+        prunable.push({ id: variant.tag, tag: variant.tag, reason: 'Dockerfile o wpsite desactualizados' });
+      }
+    }
+
+    return prunable;
+  }
+
+  /**
+   * Eliminar una imagen
+   * @param {string} image - Tag o ID
+   * @returns {Promise<void>}
+   */
+  static async removeImage(image) {
+    return new Promise((resolve, reject) => {
+      execFile('docker', ['rmi', image], (error, stdout, stderr) => {
+        if (error) {
+          reject(new Error((stderr || error.message).trim()));
+        } else {
+          resolve();
+        }
+      });
+    });
+  }
+}
+
+module.exports = ImageHelper;
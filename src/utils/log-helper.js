@@ -0,0 +1,268 @@
+const { spawn } = require('child_process');
+const chalk = require('chalk');
+const fs = require('fs');
+const path = require('path');
+const DockerHelper = require('./docker-helper');
+
+// Con sync.mode "mount" WordPress escribe directamente en el wp-content del proyecto
+const DEBUG_LOGS = {
+  copy: path.join('wordpress', 'wp-content', 'debug.log'),
+  mount: path.join('wp-content', 'debug.log')
+};
+const STREAMS = ['php', 'access', 'debug'];
+const SEVERITY_COLORS = {
+  fatal: chalk.red.bold,
+  error: chalk.red,
+  warning: chalk.yellow,
+  deprecated: chalk.magenta,
+  notice: chalk.blue,
+  info: (text) => text
+};
+const STREAM_LABELS = {
+  php: chalk.magenta('[php]   '),
+  access: chalk.cyan('[access]'),
+  debug: chalk.yellow('[debug] ')
+};
+
+class LogHelper {
+
+  /**
+   * Streams de log disponibles
+   * @returns {string[]} - ['php', 'access', 'debug']
+   */
+  static getStreams() {
+    return STREAMS.slice();
+  }
+
+  /**
+   * Ruta de wp-content/debug.log en el host (WP_DEBUG_LOG)
+   * @param {string} syncMode - Modo de sincronización de wp-content (copy o mount)
+   * @param {string} cwd - Directorio del proyecto (por defecto el actual)
+   * @returns {string}
+   */
+  static getDebugLogPath(syncMode = 'copy', cwd = process.cwd()) {
+    return path.join(cwd, DEBUG_LOGS[syncMode] || DEBUG_LOGS.copy);
+  }
+
+  /**
+   * Interpretar --since: duración relativa (30s, 10m, 2h, 1d) o fecha
+   * @param {string} since - Valor indicado por el usuario
+   * @returns {Date|null} - Fecha desde la que mostrar logs
+   */
+  static parseSince(since) {
+    if (!since) return null;
+
+    const relative = String(since).match(/^(\d+)\s*([smhd])$/);
+    if (relative) {
+      const units = { s: 1000, m: 60000, h: 3600000, d: 86400000 };
+      return new Date(Date.now() - parseInt(relative[1], 10) * units[relative[2]]);
+    }
+
+    const date = new Date(since);
+    if (isNaN(date.getTime())) {
+      throw new Error(`Valor de --since no válido: ${since} (ejemplos: 10m, 2h, 2024-05-01T10:00)`);
+    }
+    return date;
+  }
+
+  /**
+   * Clasificar la severidad de una línea de log
+   * @param {string} text - Línea de log
+   * @param {string} stream - php, access o debug
+   * @returns {string} - fatal, error, warning, deprecated, notice o info
+   */
+  static classify(text, stream) {
+    if (/PHP (Fatal|Parse) error|Uncaught |:(crit|alert|emerg)\]/.test(text)) return 'fatal';
+    if (/PHP Warning/.test(text)) return 'warning';
+    if (/PHP Deprecated/.test(text)) return 'deprecated';
+    if (/PHP Notice/.test(text)) return 'notice';
+    if (/PHP (Recoverable fatal )?[Ee]rror|:error\]/.test(text)) return 'error';
+    if (/:warn\]/.test(text)) return 'warning';
+    if (/:notice\]/.test(text)) return 'notice';
+
+    if (stream === 'access') {
+      const match = text.match(/" (\d{3}) /);
+      const status = match ? parseInt(match[1], 10) : 0;
+      if (status >= 500) return 'error';
+      if (status >= 400) return 'warning';
+    }
+
+    return 'info';
+  }
+
+  /**
+   * Formatear una entrada con el stream y el color de su severidad
+   * @param {Object} entry - { stream, text, severity }
+   * @returns {string}
+   */
+  static format(entry) {
+    return `${STREAM_LABELS[entry.stream]} ${SEVERITY_COLORS[entry.severity](entry.text)}`;
+  }
+
+  /**
+   * Leer las últimas líneas del contenedor separando errores (stderr) y accesos (stdout)
+   * @param {string} containerId - ID o nombre del contenedor
+   * @param {Object} options - { tail, since }
+   * @returns {Promise<Object[]>} - Entradas { time, stream, text, severity }
+   */
+  static async readContainerLogs(containerId, options = {}) {
+    const logs = await DockerHelper.getContainerLogs(containerId, options.tail || null, {
+      since: options.since,
+      timestamps: true
+    });
+
+    const toEntries = (output, stream) => output
+      .split('\n')
+      .filter(line => line.trim())
+      .map(line => this.parseContainerLine(line, stream));
+
+    return toEntries(logs.stdout, 'access').concat(toEntries(logs.stderr, 'php'));
+  }
+
+  /**
+   * Leer las últimas entradas de debug.log
+   * @param {Object} options - { tail, since, syncMode }
+   * @returns {Object[]} - Entradas { time, stream, text, severity }
+   */
+  static readDebugLog(options = {}) {
+    const logPath = this.getDebugLogPath(options.syncMode);
+    if (!fs.existsSync(logPath)) return [];
+
+    let lastTime = null;
+    const entries = fs.readFileSync(logPath, 'utf8')
+      .split('\n')
+      .filter(line => line.trim())
+      .map((line) => {
+        const entry = this.parseDebugLine(line, lastTime);
+        lastTime = entry.time;
+        return entry;
+      })
+      .filter(entry => !options.since || !entry.time || entry.time >= options.since);
+
+    return options.tail ? entries.slice(-options.tail) : entries;
+  }
+
+  /**
+   * Seguir los streams indicados a partir de ahora
+   * @param {string} containerId - ID o nombre del contenedor (null = solo debug.log)
+   * @param {Object} options - { streams, since, syncMode }
+   * @param {Function} onEntry - Callback por cada entrada
+   * @returns {Object} - { stop } para dejar de seguir
+   */
+  static follow(containerId, options, onEntry) {
+    const streams = options.streams || STREAMS;
+    const stops = [];
+
+    if (containerId && (streams.includes('php') || streams.includes('access'))) {
+      const since = (options.since || new Date()).toISOString();
+      const logsCmd = spawn('docker', ['logs', '-f', '--timestamps', '--since', since, containerId], {
+        stdio: ['ignore', 'pipe', 'pipe']
+      });
+
+      if (streams.includes('access')) {
+        logsCmd.stdout.on('data', this.createLineSplitter(line => onEntry(this.parseContainerLine(line, 'access'))));
+      }
+      if (streams.includes('php')) {
+        logsCmd.stderr.on('data', this.createLineSplitter(line => onEntry(this.parseContainerLine(line, 'php'))));
+      }
+
+      logsCmd.on('error', () => {});
+      stops.push(() => logsCmd.kill());
+    }
+
+    if (streams.includes('debug')) {
+      stops.push(this.followFile(this.getDebugLogPath(options.syncMode), (line, lastTime) => {
+        const entry = this.parseDebugLine(line, lastTime);
+        onEntry(entry);
+        return entry.time;
+      }));
+    }
+
+    return {
+      stop: () => stops.forEach(stop => stop())
+    };
+  }
+
+  /**
+   * Seguir las líneas nuevas de un archivo (aunque todavía no exista)
+   * @param {string} filePath - Archivo a seguir
+   * @param {Function} onLine - Callback (line, lastTime) que devuelve la fecha de la línea
+   * @returns {Function} - Función para dejar de seguir
+   */
+  static followFile(filePath, onLine) {
+    let position = fs.existsSync(filePath) ? fs.statSync(filePath).size : 0;
+    let lastTime = null;
+    const splitter = this.createLineSplitter((line) => {
+      lastTime = onLine(line, lastTime);
+    });
+
+    fs.watchFile(filePath, { interval: 500 }, (current) => {
+      // Archivo borrado o vaciado (p. ej. al limpiar debug.log)
+      if (current.size < position) {
+        position = 0;
+      }
+
+      if (current.size > position) {
+        const stream = fs.createReadStream(filePath, { start: position, end: current.size - 1 });
+        stream.on('data', splitter);
+        position = current.size;
+      }
+    });
+
+    return () => fs.unwatchFile(filePath);
+  }
+
+  /**
+   * Convertir una línea de docker logs --timestamps en entrada
+   * @param {string} line - Línea con la fecha RFC3339 al inicio
+   * @param {string} stream - php o access
+   * @returns {Object}
+   */
+  static parseContainerLine(line, stream) {
+    const match = line.match(/^(\d{4}-\d{2}-\d{2}T[\d:.]+Z)\s(.*)$/);
+    const text = match ? match[2] : line;
+
+    return {
+      time: match ? new Date(match[1]) : new Date(),
+      stream,
+      text,
+      severity: this.classify(text, stream)
+    };
+  }
+
+  /**
+   * Convertir una línea de debug.log en entrada
+   * Las líneas sin fecha (trazas de pila) heredan la de la anterior
+   * @param {string} line - Línea del archivo
+   * @param {Date|null} lastTime - Fecha de la línea anterior
+   * @returns {Object}
+   */
+  static parseDebugLine(line, lastTime = null) {
+    const match = line.match(/^\[(\d{2})-(\w{3})-(\d{4}) ([\d:]+) ([^\]]+)\]\s?(.*)$/);
+    const time = match ? new Date(`${match[1]} ${match[2]} ${match[3]} ${match[4]} ${match[5]}`) : lastTime;
+
+    return {
+      time: time && !isNaN(time.getTime()) ? time : lastTime,
+      stream: 'debug',
+      text: line,
+      severity: this.classify(line, 'debug')
+    };
+  }
+
+  /**
+   * Crear un manejador de chunks que emite líneas completas
+   * @param {Function} onLine - Callback por cada línea
+   * @returns {Function} - Manejador para el evento 'data'
+   */
+  static createLineSplitter(onLine) {
+    let rest = '';
+
+    return (chunk) => {
+      const lines = (rest + chunk.toString('utf8')).split('\n');
+      rest = lines.pop();
+      lines.filter(line => line.trim()).forEach(line => onLine(line.replace(/\r$/, '')));
+    };
+  }
+}
+
+module.exports = LogHelper;
@@ -0,0 +1,167 @@
+const chalk = require('chalk');
+const path = require('path');
+
+const CONTAINER_ROOT = '/var/www/html';
+const ERROR_PATTERN = /PHP (Fatal error|Parse error|Recoverable fatal error|Warning|Notice|Deprecated):\s+(.*) in (\/[^\s:]+)(?::| on line )(\d+)/;
+const ERROR_TYPES = {
+  'Fatal error': 'fatal',
+  'Parse error': 'fatal',
+  'Recoverable fatal error': 'fatal',
+  Warning: 'warning',
+  Notice: 'notice',
+  Deprecated: 'deprecated'
+};
+const TYPE_STYLES = {
+  fatal: { icon: '✖', label: 'Fatal', color: chalk.red.bold },
+  warning: { icon: '⚠', label: 'Warning', color: chalk.yellow },
+  notice: { icon: 'ℹ', label: 'Notice', color: chalk.blue },
+  deprecated: { icon: '↓', label: 'Deprecated', color: chalk.magenta }
+};
+const TYPE_ORDER = ['fatal', 'warning', 'notice', 'deprecated'];
+
+// Panel de errores PHP para wpsite dev: agrupa repetidos y muestra rutas locales
+class PhpErrorPanel {
+  constructor(options = {}) {
+    this.localWpContent = options.localWpContent || path.resolve(process.cwd(), 'wp-content');
+    this.localWordPress = options.localWordPress || path.resolve(process.cwd(), 'wordpress');
+    this.silent = options.silent === true; // solo contar (la salida la muestra otro)
+    this.summaryDelay = options.summaryDelay || 3000;
+    this.errors = new Map(); // clave -> error
+    this.total = 0;
+    this.summaryTimer = null;
+  }
+
+  // Extraer tipo, mensaje, archivo y línea de una línea de log
+  static parse(text) {
+    const match = text.match(ERROR_PATTERN);
+    if (!match) return null;
+
+    return {
+      type: ERROR_TYPES[match[1]],
+      message: match[2].trim(),
+      containerFile: match[3],
+      line: parseInt(match[4], 10)
+    };
+  }
+
+  // Ruta del contenedor -> ruta local (wp-content del proyecto o ./wordpress)
+  mapPath(containerFile) {
+    const wpContentRoot = `${CONTAINER_ROOT}/wp-content/`;
+
+    if (containerFile.startsWith(wpContentRoot)) {
+      return path.join(this.localWpContent, containerFile.substring(wpContentRoot.length));
+    }
+    if (containerFile.startsWith(`${CONTAINER_ROOT}/`)) {
+      return path.join(this.localWordPress, containerFile.substring(CONTAINER_ROOT.length + 1));
+    }
+    return containerFile;
+  }
+
+  // Registrar una entrada de log; devuelve el error si es nuevo
+  add(entry) {
+    const parsed = PhpErrorPanel.parse(entry.text);
+    if (!parsed) return null;
+
+    const key = `${parsed.type}|${parsed.message}|${parsed.containerFile}|${parsed.line}`;
+    const now = Date.now();
+    const existing = this.errors.get(key);
+
+    if (existing) {
+      // El mismo error puede llegar por stderr y por debug.log casi a la vez: cuenta una vez
+      if (existing.lastStream !== entry.stream && now - existing.lastSeen < 2000) {
+        existing.lastStream = entry.stream;
+        return null;
+      }
+
+      existing.count++;
+      existing.lastSeen = now;
+      existing.lastStream = entry.stream;
+      this.total++;
+      this.scheduleSummary();
+      return null;
+    }
+
+    const error = Object.assign(parsed, {
+      file: this.mapPath(parsed.containerFile),
+      count: 1,
+      lastSeen: now,
+      lastStream: entry.stream
+    });
+
+    this.errors.set(key, error);
+    this.total++;
+
+    if (!this.silent) {
+      this.printError(error);
+    }
+    this.scheduleSummary();
+    return error;
+  }
+
+  // Mostrar un error nuevo en formato compacto (ruta:línea clicable en la terminal)
+  printError(error) {
+    const style = TYPE_STYLES[error.type];
+    console.log(style.color(`${style.icon} PHP ${style.label}: ${error.message}`));
+    console.log(chalk.gray(`   ${error.file}:${error.line}`));
+  }
+
+  // Contadores por tipo
+  getCounts() {
+    const counts = { fatal: 0, warning: 0, notice: 0, deprecated: 0 };
+    this.errors.forEach((error) => {
+      counts[error.type] += error.count;
+    });
+    return counts;
+  }
+
+  formatCounts() {
+    const counts = this.getCounts();
+    return TYPE_ORDER
+      .filter(type => counts[type] > 0)
+      .map(type => TYPE_STYLES[type].color(`${counts[type]} ${TYPE_STYLES[type].label.toLowerCase()}`))
+      .join(' · ');
+  }
+
+  // Resumen tras una ráfaga de errores (solo si hubo repetidos o varios distintos)
+  scheduleSummary() {
+    if (this.summaryTimer) {
+      clearTimeout(this.summaryTimer);
+    }
+
+    this.summaryTimer = setTimeout(() => {
+      this.summaryTimer = null;
+      if (this.total > 1) {
+        console.log(chalk.gray(`📊 Errores PHP: ${this.formatCounts()} ${chalk.gray(`(${this.errors.size} distintos, ${this.total} en total)`)}`));
+      }
+    }, this.summaryDelay);
+  }
+
+  // Resumen final con cada error distinto y sus repeticiones
+  printSummary(limit = 10) {
+    if (this.errors.size === 0) return;
+
+    const errors = Array.from(this.errors.values()).sort((a, b) =>
+      TYPE_ORDER.indexOf(a.type) - TYPE_ORDER.indexOf(b.type) || b.count - a.count
+    );
+
+    console.log(chalk.blue(`\n📊 Resumen de errores PHP: ${this.formatCounts()}`));
+    errors.slice(0, limit).forEach((error) => {
+      const style = TYPE_STYLES[error.type];
+      console.log(`   ${style.color(`${style.icon} ${error.count}×`)} ${error.message}`);
+      console.log(chalk.gray(`      ${error.file}:${error.line}`));
+    });
+
+    if (errors.length > limit) {
+      console.log(chalk.gray(`   ... y ${errors.length - limit} más (wpsite logs --php --debug)`));
+    }
+  }
+
+  stop() {
+    if (this.summaryTimer) {
+      clearTimeout(this.summaryTimer);
+      this.summaryTimer = null;
+    }
+  }
+}
+
+module.exports = PhpErrorPanel;
@@ -0,0 +1,36 @@
+const readline = require('readline');
+
+class PromptHelper {
+
+  /**
+   * Hacer una pregunta en la terminal y esperar la respuesta
+   * @param {string} question - Texto de la pregunta
+   * @returns {Promise<string>} - Respuesta sin espacios alrededor
+   */
+  static async ask(question) {
+    const rl = readline.createInterface({
+      input: process.stdin,
+      output: process.stdout
+    });
+
+    return new Promise((resolve) => {
+      rl.question(question, (answer) => {
+        rl.close();
+        resolve(answer.trim());
+      });
+    });
+  }
+
+  /**
+   * Pedir al usuario que escriba un valor exacto para confirmar una acción peligrosa
+   * @param {string} question - Texto de la pregunta
+   * @param {string} expected - Valor que debe escribir
+   * @returns {Promise<boolean>} - true si coincide
+   */
+  static async confirmByTyping(question, expected) {
+    const answer = await this.ask(question);
+    return answer === expected;
+  }
+}
+
+module.exports = PromptHelper;
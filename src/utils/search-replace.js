@@ -0,0 +1,193 @@
+const fs = require('fs');
+const readline = require('readline');
+
+// Secuencias de escape que usa mysqldump dentro de literales de texto
+const SQL_UNESCAPE = { '0': '\0', n: '\n', r: '\r', Z: '\x1a', t: '\t', b: '\b' };
+const SQL_ESCAPE = { '\0': '\\0', '\n': '\\n', '\r': '\\r', '\x1a': '\\Z', '\\': '\\\\', "'": "\\'", '"': '\\"' };
+
+// Literal de texto de un volcado SQL ('...' con escapes de barra invertida)
+const SQL_STRING = /'((?:[^'\\]|\\.)*)'/g;
+// Inicio de una cadena serializada de PHP: s:5:"hello";
+const SERIALIZED_START = /s:(\d+):"/;
+// Tras una URL o ruta, estos caracteres indican que sigue otro host o segmento (example.com.au, /blog2)
+const URL_CONTINUATION = '(?![A-Za-z0-9_-]|\\.[A-Za-z0-9])';
+
+class SearchReplace {
+
+  /**
+   * Quitar el escape SQL de un fragmento de texto
+   * @param {string} value - Texto escapado tal como aparece en el volcado
+   * @returns {string} - Texto original
+   */
+  static unescapeSql(value) {
+    return value.replace(/\\(.)/g, (match, char) => (char in SQL_UNESCAPE ? SQL_UNESCAPE[char] : char));
+  }
+
+  /**
+   * Escapar un texto para incluirlo dentro de un literal SQL
+   * @param {string} value - Texto original
+   * @returns {string} - Texto escapado
+   */
+  static escapeSql(value) {
+    return value.replace(/[\0\n\r\x1a\\'"]/g, (char) => SQL_ESCAPE[char]);
+  }
+
+  /**
+   * Escapar un texto para usarlo literalmente en una expresión regular
+   * @param {string} value - Texto a escapar
+   * @returns {string}
+   */
+  static escapeRegExp(value) {
+    return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+
+  /**
+   * Construir la lista de reemplazos incluyendo variantes con barras escapadas (JSON)
+   * @param {Array<{search: string, replace: string}>} pairs - Reemplazos base
+   * @returns {Array<{search: string, replace: string}>} - Reemplazos sin duplicados, del más largo al más corto
+   */
+  static expandPairs(pairs) {
+    const expanded = new Map();
+
+    pairs.forEach(({ search, replace }) => {
+      if (!search || search === replace) return;
+      expanded.set(search, replace);
+      expanded.set(search.replace(/\//g, '\\/'), replace.replace(/\//g, '\\/'));
+    });
+
+    return [...expanded.entries()]
+      .map(([search, replace]) => ({ search, replace }))
+      .sort((a, b) => b.search.length - a.search.length);
+  }
+
+  /**
+   * Expresión que encuentra cualquiera de los textos a buscar, solo donde termina la URL o ruta
+   * @param {Array<{search: string, replace: string}>} pairs - Reemplazos expandidos (del más largo al más corto)
+   * @returns {RegExp}
+   */
+  static buildSearchPattern(pairs) {
+    const alternatives = pairs.map(({ search }) => {
+      const boundary = /[A-Za-z0-9_-]$/.test(search) ? URL_CONTINUATION : '';
+      return `${this.escapeRegExp(search)}${boundary}`;
+    });
+    return new RegExp(alternatives.join('|'), 'g');
+  }
+
+  /**
+   * Longitud en caracteres de JavaScript de los primeros bytes UTF-8 de un texto
+   * @param {string} value - Texto
+   * @param {number} start - Posición inicial
+   * @param {number} bytes - Bytes a recorrer
+   * @returns {number} - Caracteres que ocupan exactamente esos bytes, o -1 si no cuadran
+   */
+  static charsForBytes(value, start, bytes) {
+    let index = start;
+    let total = 0;
+
+    while (total < bytes && index < value.length) {
+      const codePoint = value.codePointAt(index);
+      total += codePoint < 0x80 ? 1 : codePoint < 0x800 ? 2 : codePoint < 0x10000 ? 3 : 4;
+      index += codePoint > 0xffff ? 2 : 1;
+    }
+
+    return total === bytes ? index - start : -1;
+  }
+
+  /**
+   * Crear un reemplazador de líneas SQL seguro para datos serializados de PHP
+   * @param {Array<{search: string, replace: string}>} pairs - Reemplazos a aplicar
+   * @returns {Function} - (line) => { line, count }
+   */
+  static createSqlReplacer(pairs) {
+    const expanded = this.expandPairs(pairs);
+
+    if (expanded.length === 0) {
+      return (line) => ({ line, count: 0 });
+    }
+
+    const replacements = new Map(expanded.map(({ search, replace }) => [search, replace]));
+    const pattern = this.buildSearchPattern(expanded);
+    let count = 0;
+
+    const replacePlain = value => value.replace(pattern, (match) => {
+      count++;
+      return replacements.get(match);
+    });
+
+    // Las cadenas serializadas se leen por su longitud declarada en bytes (pueden contener ";)
+    // y se reescriben con la nueva longitud; dentro pueden ir otras serializadas
+    const replaceValue = (value) => {
+      let result = '';
+      let position = 0;
+      const starts = new RegExp(SERIALIZED_START.source, 'g');
+      let match;
+
+      while ((match = starts.exec(value)) !== null) {
+        const contentStart = match.index + match[0].length;
+        const length = this.charsForBytes(value, contentStart, parseInt(match[1], 10));
+        const contentEnd = contentStart + length;
+
+        if (length < 0 || value.substr(contentEnd, 2) !== '";') {
+          continue; // No es una cadena serializada válida: se trata como texto
+        }
+
+        const content = replaceValue(value.substring(contentStart, contentEnd));
+        result += `${replacePlain(value.substring(position, match.index))}s:${Buffer.byteLength(content, 'utf8')}:"${content}";`;
+        position = contentEnd + 2;
+        starts.lastIndex = position;
+      }
+
+      return result + replacePlain(value.substring(position));
+    };
+
+    return (line) => {
+      count = 0;
+
+      const result = line.replace(SQL_STRING, (match, content) => {
+        const original = this.unescapeSql(content);
+        if (!expanded.some(({ search }) => original.includes(search))) {
+          return match;
+        }
+
+        const replaced = replaceValue(original);
+        return replaced === original ? match : `'${this.escapeSql(replaced)}'`;
+      });
+
+      return { line: result, count };
+    };
+  }
+
+  /**
+   * Aplicar search-replace a un volcado SQL línea por línea
+   * @param {string} inputPath - Volcado original
+   * @param {string} outputPath - Volcado resultante
+   * @param {Array<{search: string, replace: string}>} pairs - Reemplazos a aplicar
+   * @returns {Promise<number>} - Número de reemplazos realizados
+   */
+  static async replaceInSqlFile(inputPath, outputPath, pairs) {
+    const replaceLine = this.createSqlReplacer(pairs);
+    const input = fs.createReadStream(inputPath, { encoding: 'utf8' });
+    const output = fs.createWriteStream(outputPath, { encoding: 'utf8' });
+    const lines = readline.createInterface({ input, crlfDelay: Infinity });
+
+    let total = 0;
+
+    for await (const line of lines) {
+      const { line: replaced, count } = replaceLine(line);
+      total += count;
+
+      if (!output.write(replaced + '\n')) {
+        await new Promise(resolve => output.once('drain', resolve));
+      }
+    }
+
+    await new Promise((resolve, reject) => {
+      output.on('error', reject);
+      output.end(resolve);
+    });
+
+    return total;
+  }
+}
+
+module.exports = SearchReplace;
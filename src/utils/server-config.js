@@ -0,0 +1,152 @@
+const fs = require('fs');
+const path = require('path');
+const DockerHelper = require('./docker-helper');
+
+const OVERRIDES_DIR = path.join('.wpsite', 'server');
+const PROJECT_PHP_INI = path.join('.wpsite', 'php.ini');
+const PROJECT_APACHE_CONF = path.join('.wpsite', 'apache.conf');
+const CONTAINER_PHP_INI = '/usr/local/etc/php/conf.d/zz-wpsite.ini';
+const CONTAINER_APACHE_CONF = '/etc/apache2/conf-enabled/wpsite-overrides.conf';
+
+// Valores que se muestran siempre al arrancar (además de los que defina el proyecto)
+const REPORTED_PHP_SETTINGS = ['memory_limit', 'upload_max_filesize', 'post_max_size', 'max_execution_time'];
+
+class ServerConfig {
+
+  /**
+   * Reunir los ajustes de php.ini y Apache del proyecto
+   * @param {Object} config - Configuración del proyecto
+   * @returns {Object} - { ini, iniSources, apache, apacheSources }
+   */
+  static getOverrides(config = {}) {
+    const ini = {};
+    const iniSources = [];
+    const apache = [];
+    const apacheSources = [];
+
+    // .wpsite/php.ini primero: lo declarado en wpsite.config.js tiene prioridad
+    if (fs.existsSync(PROJECT_PHP_INI)) {
+      Object.assign(ini, this.parseIni(fs.readFileSync(PROJECT_PHP_INI, 'utf8')));
+      iniSources.push(PROJECT_PHP_INI);
+    }
+
+    const configIni = (config.php && config.php.ini) || {};
+    if (Object.keys(configIni).length > 0) {
+      Object.keys(configIni).forEach((key) => {
+        ini[key] = this.formatIniValue(configIni[key]);
+      });
+      iniSources.push('wpsite.config.js');
+    }
+
+    Object.keys(ini).forEach((key) => {
+      if (!/^[a-zA-Z0-9_.]+$/.test(key)) {
+        throw new Error(`Directiva de php.ini no válida: ${key}`);
+      }
+    });
+
+    if (fs.existsSync(PROJECT_APACHE_CONF)) {
+      apache.push(fs.readFileSync(PROJECT_APACHE_CONF, 'utf8').trim());
+      apacheSources.push(PROJECT_APACHE_CONF);
+    }
+
+    const configApache = config.apache && config.apache.config;
+    if (configApache) {
+      apache.push(...[].concat(configApache).map(snippet => String(snippet).trim()));
+      apacheSources.push('wpsite.config.js');
+    }
+
+    return { ini, iniSources, apache: apache.filter(Boolean), apacheSources };
+  }
+
+  /**
+   * Leer directivas "clave = valor" de un archivo php.ini
+   * @param {string} content - Contenido del archivo
+   * @returns {Object} - Directivas encontradas
+   */
+  static parseIni(content) {
+    const values = {};
+
+    content.split(/\r?\n/).forEach((line) => {
+      const trimmed = line.trim();
+      if (!trimmed || trimmed.startsWith(';') || trimmed.startsWith('[')) return;
+
+      const match = trimmed.match(/^([^=\s]+)\s*=\s*(.*)$/);
+      if (match) {
+        values[match[1]] = match[2].trim();
+      }
+    });
+
+    return values;
+  }
+
+  /**
+   * Convertir un valor de wpsite.config.js al formato de php.ini
+   * @param {*} value - true/false, número o texto
+   * @returns {string}
+   */
+  static formatIniValue(value) {
+    if (value === true) return 'On';
+    if (value === false) return 'Off';
+
+    // Sin comillas para que PHP evalúe expresiones como "E_ALL & ~E_DEPRECATED"
+    const text = String(value);
+    // php.ini no tiene forma fiable de escapar comillas: la directiva se ignoraría sin avisar
+    if (/["\r\n]/.test(text)) {
+      throw new Error(`Valor de php.ini no válido (no puede contener comillas dobles ni saltos de línea): ${text}`);
+    }
+    return text === '' || /[;={}\[\]$]/.test(text) ? `"${text}"` : text;
+  }
+
+  /**
+   * Generar los archivos en .wpsite/server y devolver los volúmenes a montar
+   * @param {Object} overrides - Ajustes devueltos por getOverrides
+   * @returns {string[]} - Argumentos extra de docker run
+   */
+  static prepare(overrides) {
+    const dir = path.resolve(process.cwd(), OVERRIDES_DIR);
+    const dockerArgs = [];
+
+    fs.rmSync(dir, { recursive: true, force: true });
+
+    if (Object.keys(overrides.ini).length > 0) {
+      fs.mkdirSync(dir, { recursive: true });
+      const iniPath = path.join(dir, 'php.ini');
+      const lines = Object.keys(overrides.ini).map(key => `${key} = ${overrides.ini[key]}`);
+      fs.writeFileSync(iniPath, `; Generado por wpsite - no editar\n${lines.join('\n')}\n`);
+      dockerArgs.push('-v', `${iniPath}:${CONTAINER_PHP_INI}:ro`);
+    }
+
+    if (overrides.apache.length > 0) {
+      fs.mkdirSync(dir, { recursive: true });
+      const confPath = path.join(dir, 'apache.conf');
+      fs.writeFileSync(confPath, `# Generado por wpsite - no editar\n${overrides.apache.join('\n\n')}\n`);
+      dockerArgs.push('-v', `${confPath}:${CONTAINER_APACHE_CONF}:ro`);
+    }
+
+    return dockerArgs;
+  }
+
+  /**
+   * Leer los valores efectivos de PHP dentro del contenedor
+   * @param {string} containerId - ID del contenedor
+   * @param {Object} overrides - Ajustes del proyecto (se incluyen sus claves)
+   * @returns {Promise<Object>} - Directiva -> valor efectivo
+   */
+  static async getEffectivePhpSettings(containerId, overrides = { ini: {} }) {
+    const keys = Array.from(new Set(REPORTED_PHP_SETTINGS.concat(Object.keys(overrides.ini))));
+    const script = `foreach (${JSON.stringify(keys)} as $k) { $v = ini_get($k); echo $k, "=", ($v === false ? "(desconocida)" : $v), PHP_EOL; }`;
+    const output = await DockerHelper.execInContainer(containerId, `php -r '${script}'`);
+    const values = {};
+
+    output.split('\n').forEach((line) => {
+      const index = line.indexOf('=');
+      if (index > 0) {
+        values[line.substring(0, index)] = line.substring(index + 1);
+      }
+    });
+
+    return values;
+  }
+}
+
+module.exports = ServerConfig;
@@ -0,0 +1,247 @@
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { pipeline } = require('stream');
+const { promisify } = require('util');
+const DockerHelper = require('./docker-helper');
+const DatabaseHelper = require('./database-helper');
+
+const SNAPSHOTS_DIR = path.join('.wpsite', 'snapshots');
+const WORK_DIR = path.join('.wpsite', 'tmp');
+const SNAPSHOT_EXTENSION = '.sql.gz';
+const pipelineAsync = promisify(pipeline);
+
+class SnapshotHelper {
+
+  /**
+   * Directorio donde se guardan los snapshots del proyecto
+   * @returns {string} - Ruta absoluta de .wpsite/snapshots
+   */
+  static getSnapshotsDir() {
+    return path.resolve(process.cwd(), SNAPSHOTS_DIR);
+  }
+
+  /**
+   * Normalizar un nombre de snapshot para usarlo en el nombre de archivo
+   * @param {string} name - Nombre indicado por el usuario
+   * @returns {string} - Nombre seguro
+   */
+  static sanitizeName(name) {
+    return String(name || 'snapshot')
+      .trim()
+      .replace(/[^a-zA-Z0-9_.-]+/g, '-')
+      .replace(/^-+|-+$/g, '') || 'snapshot';
+  }
+
+  /**
+   * Comprimir un volcado SQL como snapshot y guardar sus metadatos
+   * @param {string} dumpPath - Volcado SQL en el host
+   * @param {string} name - Nombre del snapshot
+   * @param {Object} metadata - Datos adicionales (database, host, tables...)
+   * @returns {Promise<Object>} - Snapshot creado
+   */
+  static async saveFromDump(dumpPath, name, metadata = {}) {
+    const dir = this.getSnapshotsDir();
+    fs.mkdirSync(dir, { recursive: true });
+
+    const createdAt = new Date();
+    const timestamp = createdAt.toISOString().replace(/[-:]/g, '').replace('T', '-').slice(0, 15);
+    const baseId = `${this.sanitizeName(name)}--${timestamp}`;
+
+    // Dos snapshots con el mismo nombre en el mismo segundo: añadir un sufijo en vez de sobrescribir
+    let id = baseId;
+    for (let suffix = 2; fs.existsSync(path.join(dir, `${id}${SNAPSHOT_EXTENSION}`)); suffix++) {
+      id = `${baseId}-${suffix}`;
+    }
+    const filePath = path.join(dir, `${id}${SNAPSHOT_EXTENSION}`);
+
+    await pipelineAsync(
+      fs.createReadStream(dumpPath),
+      zlib.createGzip(),
+      fs.createWriteStream(filePath)
+    );
+
+    const info = Object.assign({ name: this.sanitizeName(name), createdAt: createdAt.toISOString() }, metadata);
+    fs.writeFileSync(`${filePath}.json`, JSON.stringify(info, null, 2));
+
+    return this.describe(filePath);
+  }
+
+  /**
+   * Volcar una base de datos y guardarla como snapshot
+   * @param {string} containerName - Contenedor donde se ejecuta mariadb-dump
+   * @param {Object} connection - Datos de conexión (incluye name y tablePrefix)
+   * @param {string} name - Nombre del snapshot
+   * @returns {Promise<Object>} - Snapshot creado
+   */
+  static async save(containerName, connection, name) {
+    const tables = await DatabaseHelper.listTables(containerName, connection, connection.tablePrefix);
+    if (tables.length === 0) {
+      throw new Error(`No se encontraron tablas con el prefijo ${connection.tablePrefix}`);
+    }
+
+    const containerDump = '/tmp/wpsite-snapshot.sql';
+    const hostDump = path.join(WORK_DIR, 'snapshot.sql');
+    fs.mkdirSync(WORK_DIR, { recursive: true });
+
+    try {
+      await DatabaseHelper.dumpTables(containerName, connection, tables, containerDump);
+      await DockerHelper.copyFromContainer(containerName, containerDump, hostDump);
+
+      return await this.saveFromDump(hostDump, name, {
+        database: connection.name,
+        host: connection.host,
+        tablePrefix: connection.tablePrefix,
+        tables
+      });
+    } finally {
+      await DockerHelper.execInContainer(containerName, `rm -f ${containerDump}`).catch(() => {});
+      fs.rmSync(hostDump, { force: true });
+    }
+  }
+
+  /**
+   * Obtener información de un archivo de snapshot
+   * @param {string} filePath - Ruta del archivo .sql.gz
+   * @returns {Object} - { id, name, file, size, createdAt, tableCount }
+   */
+  static describe(filePath) {
+    const stats = fs.statSync(filePath);
+    const id = path.basename(filePath, SNAPSHOT_EXTENSION);
+    let metadata = {};
+
+    try {
+      metadata = JSON.parse(fs.readFileSync(`${filePath}.json`, 'utf8'));
+    } catch (error) {
+      // Snapshot sin metadatos: se cuentan las tablas al listar
+    }
+
+    return {
+      id,
+      name: metadata.name || id.split('--')[0],
+      file: filePath,
+      size: stats.size,
+      createdAt: metadata.createdAt ? new Date(metadata.createdAt) : stats.mtime,
+      database: metadata.database,
+      host: metadata.host,
+      tableCount: Array.isArray(metadata.tables) ? metadata.tables.length : null
+    };
+  }
+
+  /**
+   * Listar snapshots del proyecto, del más reciente al más antiguo
+   * @returns {Promise<Object[]>} - Snapshots encontrados
+   */
+  static async list() {
+    const dir = this.getSnapshotsDir();
+    if (!fs.existsSync(dir)) return [];
+
+    const snapshots = fs.readdirSync(dir)
+      .filter(file => file.endsWith(SNAPSHOT_EXTENSION))
+      .map(file => this.describe(path.join(dir, file)));
+
+    for (const snapshot of snapshots) {
+      if (snapshot.tableCount === null) {
+        snapshot.tableCount = await this.countTables(snapshot.file);
+      }
+    }
+
+    return snapshots.sort((a, b) => b.createdAt - a.createdAt);
+  }
+
+  /**
+   * Contar tablas de un snapshot comprimido leyendo su contenido
+   * @param {string} filePath - Ruta del archivo .sql.gz
+   * @returns {Promise<number>}
+   */
+  static async countTables(filePath) {
+    return new Promise((resolve) => {
+      let count = 0;
+      let rest = '';
+
+      const stream = fs.createReadStream(filePath).pipe(zlib.createGunzip());
+
+      stream.on('data', (chunk) => {
+        const lines = (rest + chunk.toString('utf8')).split('\n');
+        rest = lines.pop();
+        count += lines.filter(line => line.startsWith('DROP TABLE IF EXISTS')).length;
+      });
+
+      stream.on('end', () => resolve(count));
+      stream.on('error', () => resolve(0));
+    });
+  }
+
+  /**
+   * Buscar un snapshot por ID exacto o por nombre (el más reciente)
+   * @param {string} reference - ID o nombre del snapshot
+   * @returns {Promise<Object>} - Snapshot encontrado
+   */
+  static async find(reference) {
+    const snapshots = await this.list();
+    const snapshot = snapshots.find(item => item.id === reference) ||
+      snapshots.find(item => item.name === this.sanitizeName(reference));
+
+    if (!snapshot) {
+      throw new Error(`Snapshot no encontrado: ${reference}`);
+    }
+
+    return snapshot;
+  }
+
+  /**
+   * Restaurar un snapshot en la base de datos indicada
+   * @param {Object} snapshot - Snapshot devuelto por find()
+   * @param {string} containerName - Contenedor donde se ejecuta el cliente
+   * @param {Object} connection - Datos de conexión destino
+   * @returns {Promise<void>}
+   */
+  static async restore(snapshot, containerName, connection) {
+    const containerDump = '/tmp/wpsite-restore.sql';
+    const hostDump = path.join(WORK_DIR, 'restore.sql');
+    fs.mkdirSync(WORK_DIR, { recursive: true });
+
+    try {
+      await pipelineAsync(
+        fs.createReadStream(snapshot.file),
+        zlib.createGunzip(),
+        fs.createWriteStream(hostDump)
+      );
+
+      await DockerHelper.copyToContainer(containerName, hostDump, containerDump);
+      await DatabaseHelper.importFile(containerName, connection, containerDump);
+    } finally {
+      await DockerHelper.execInContainer(containerName, `rm -f ${containerDump}`).catch(() => {});
+      fs.rmSync(hostDump, { force: true });
+    }
+  }
+
+  /**
+   * Eliminar un snapshot y sus metadatos
+   * @param {Object} snapshot - Snapshot devuelto por find()
+   */
+  static remove(snapshot) {
+    fs.rmSync(snapshot.file, { force: true });
+    fs.rmSync(`${snapshot.file}.json`, { force: true });
+  }
+
+  /**
+   * Formatear un tamaño en bytes de forma legible
+   * @param {number} bytes - Tamaño en bytes
+   * @returns {string}
+   */
+  static formatSize(bytes) {
+    const units = ['B', 'KB', 'MB', 'GB'];
+    let size = bytes;
+    let unit = 0;
+
+    while (size >= 1024 && unit < units.length - 1) {
+      size /= 1024;
+      unit++;
+    }
+
+    return `${size.toFixed(unit === 0 ? 0 : 1)} ${units[unit]}`;
+  }
+}
+
+module.exports = SnapshotHelper;
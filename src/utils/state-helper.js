@@ -0,0 +1,183 @@
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+
+const STATE_FILE = path.join('.wpsite', 'state.json');
+const PID_FILE = path.join('.wpsite', 'dev.pid');
+const LOG_FILE = path.join('.wpsite', 'dev.log');
+
+class StateHelper {
+
+  /**
+   * Ruta del archivo de estado del proyecto
+   * @param {string} cwd - Directorio del proyecto (por defecto el actual)
+   * @returns {string} - Ruta absoluta de .wpsite/state.json
+   */
+  static getStatePath(cwd = process.cwd()) {
+    return path.join(cwd, STATE_FILE);
+  }
+
+  /**
+   * Ruta del archivo PID del proceso en segundo plano
+   * @param {string} cwd - Directorio del proyecto (por defecto el actual)
+   * @returns {string} - Ruta absoluta de .wpsite/dev.pid
+   */
+  static getPidPath(cwd = process.cwd()) {
+    return path.join(cwd, PID_FILE);
+  }
+
+  /**
+   * Ruta del log del proceso en segundo plano
+   * @param {string} cwd - Directorio del proyecto (por defecto el actual)
+   * @returns {string} - Ruta absoluta de .wpsite/dev.log
+   */
+  static getLogPath(cwd = process.cwd()) {
+    return path.join(cwd, LOG_FILE);
+  }
+
+  /**
+   * Leer el estado guardado del entorno
+   * @param {string} cwd - Directorio del proyecto (por defecto el actual)
+   * @returns {Object|null} - Estado o null si no hay entorno registrado
+   */
+  static read(cwd = process.cwd()) {
+    try {
+      return JSON.parse(fs.readFileSync(this.getStatePath(cwd), 'utf8'));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Guardar el estado completo del entorno
+   * @param {Object} state - Estado a guardar
+   * @param {string} cwd - Directorio del proyecto (por defecto el actual)
+   */
+  static write(state, cwd = process.cwd()) {
+    const statePath = this.getStatePath(cwd);
+    fs.mkdirSync(path.dirname(statePath), { recursive: true });
+    fs.writeFileSync(statePath, JSON.stringify(state, null, 2));
+  }
+
+  /**
+   * Actualizar campos del estado existente
+   * @param {Object} changes - Campos a modificar
+   * @param {string} cwd - Directorio del proyecto (por defecto el actual)
+   * @returns {Object} - Estado resultante
+   */
+  static update(changes, cwd = process.cwd()) {
+    const state = Object.assign(this.read(cwd) || {}, changes);
+    this.write(state, cwd);
+    return state;
+  }
+
+  /**
+   * Eliminar el estado (entorno detenido)
+   * @param {string} cwd - Directorio del proyecto (por defecto el actual)
+   */
+  static clear(cwd = process.cwd()) {
+    fs.rmSync(this.getStatePath(cwd), { force: true });
+    fs.rmSync(this.getPidPath(cwd), { force: true });
+  }
+
+  /**
+   * Verificar si un proceso sigue vivo
+   * @param {number} pid - PID del proceso
+   * @returns {boolean}
+   */
+  static isProcessAlive(pid) {
+    if (!pid) return false;
+
+    try {
+      process.kill(pid, 0);
+      return true;
+    } catch (error) {
+      // EPERM: existe pero pertenece a otro usuario
+      return error.code === 'EPERM';
+    }
+  }
+
+  /**
+   * Leer la línea de comandos de un proceso
+   * @param {number} pid - PID del proceso
+   * @returns {string|null} - Comando con sus argumentos o null si no se puede leer
+   */
+  static getProcessCommand(pid) {
+    if (!pid || process.platform === 'win32') return null;
+
+    try {
+      if (process.platform === 'linux') {
+        return fs.readFileSync(`/proc/${pid}/cmdline`, 'utf8').split('\0').join(' ').trim() || null;
+      }
+      return execFileSync('ps', ['-o', 'command=', '-p', String(pid)], { encoding: 'utf8' }).trim() || null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Verificar que un PID sigue siendo el proceso esperado y no otro que reutilizó el número
+   * (el estado puede quedar huérfano tras un cierre brusco o un reinicio)
+   * @param {number} pid - PID del proceso
+   * @param {string[]} fragments - Textos que debe contener su línea de comandos
+   * @returns {boolean}
+   */
+  static isExpectedProcess(pid, fragments) {
+    if (!this.isProcessAlive(pid)) return false;
+
+    const command = this.getProcessCommand(pid);
+    return Boolean(command) && fragments.every(fragment => command.includes(fragment));
+  }
+
+  /**
+   * Verificar que el PID del estado es el wpsite dev de este proyecto
+   * @param {Object} state - Estado leído con read()
+   * @param {string} cwd - Directorio del proyecto (por defecto el actual)
+   * @returns {boolean}
+   */
+  static isDevProcess(state, cwd = process.cwd()) {
+    // En modo --detach, dev.pid guarda el PID real del proceso en segundo plano
+    const pidPath = this.getPidPath(cwd);
+    if (fs.existsSync(pidPath) && parseInt(fs.readFileSync(pidPath, 'utf8'), 10) !== state.pid) {
+      return false;
+    }
+
+    return this.isExpectedProcess(state.pid, ['wpsite', 'dev']);
+  }
+
+  /**
+   * Esperar a que un proceso termine
+   * @param {number} pid - PID del proceso
+   * @param {number} timeoutMs - Tiempo máximo de espera
+   * @returns {Promise<boolean>} - true si terminó dentro del plazo
+   */
+  static async waitForExit(pid, timeoutMs = 30000) {
+    const deadline = Date.now() + timeoutMs;
+
+    while (Date.now() < deadline) {
+      if (!this.isProcessAlive(pid)) {
+        return true;
+      }
+      await new Promise(resolve => setTimeout(resolve, 500));
+    }
+
+    return !this.isProcessAlive(pid);
+  }
+
+  /**
+   * Formatear el tiempo transcurrido desde una fecha
+   * @param {string} startedAt - Fecha ISO de inicio
+   * @returns {string} - Ej: "2h 5m"
+   */
+  static formatUptime(startedAt) {
+    const seconds = Math.max(0, Math.floor((Date.now() - new Date(startedAt).getTime()) / 1000));
+    const hours = Math.floor(seconds / 3600);
+    const minutes = Math.floor((seconds % 3600) / 60);
+
+    if (hours > 0) return `${hours}h ${minutes}m`;
+    if (minutes > 0) return `${minutes}m ${seconds % 60}s`;
+    return `${seconds}s`;
+  }
+}
+
+module.exports = StateHelper;
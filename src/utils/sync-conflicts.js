@@ -0,0 +1,97 @@
+const fs = require('fs');
+const path = require('path');
+
+// Milisegundos y contador opcionales (las copias antiguas solo llevan segundos)
+const CONFLICT_PATTERN = /\.conflict-(\d{8})-(\d{6})(\d{3})?(?:-\d+)?$/;
+const SKIPPED_DIRS = ['node_modules', '.git'];
+
+class SyncConflicts {
+
+  /**
+   * Ruta libre para la copia en conflicto de un archivo (archivo.conflict-AAAAMMDD-HHMMSSmmm)
+   * El sufijo va al final para que WordPress no cargue la copia como .php
+   * Si ya existe una copia con la misma fecha se añade un contador (-2, -3...)
+   * @param {string} filePath - Archivo original
+   * @param {Date} date - Momento del conflicto
+   * @returns {string}
+   */
+  static getConflictPath(filePath, date = new Date()) {
+    const timestamp = date.toISOString().replace(/[-:]/g, '').replace('T', '-').replace('.', '').slice(0, 18);
+    const basePath = `${filePath}.conflict-${timestamp}`;
+
+    let conflictPath = basePath;
+    for (let counter = 2; fs.existsSync(conflictPath); counter++) {
+      conflictPath = `${basePath}-${counter}`;
+    }
+    return conflictPath;
+  }
+
+  /**
+   * Comprobar si un archivo es una copia en conflicto
+   * @param {string} filePath - Ruta del archivo
+   * @returns {boolean}
+   */
+  static isConflictFile(filePath) {
+    return CONFLICT_PATTERN.test(filePath);
+  }
+
+  /**
+   * Buscar las copias en conflicto pendientes
+   * @param {string} root - Directorio a recorrer (por defecto ./wp-content)
+   * @returns {Object[]} - { conflictPath, originalPath, relativePath, createdAt, originalExists }
+   */
+  static list(root = path.resolve(process.cwd(), 'wp-content')) {
+    const conflicts = [];
+
+    const walk = (dir) => {
+      let items;
+      try {
+        items = fs.readdirSync(dir, { withFileTypes: true });
+      } catch (error) {
+        return; // Sin permisos o directorio eliminado
+      }
+
+      items.forEach((item) => {
+        const fullPath = path.join(dir, item.name);
+
+        if (item.isDirectory()) {
+          if (!SKIPPED_DIRS.includes(item.name)) walk(fullPath);
+          return;
+        }
+
+        const match = item.isFile() && item.name.match(CONFLICT_PATTERN);
+        if (!match) return;
+
+        const originalPath = fullPath.replace(CONFLICT_PATTERN, '');
+        const [, day, time, millis = '000'] = match;
+        conflicts.push({
+          conflictPath: fullPath,
+          originalPath,
+          relativePath: path.relative(process.cwd(), originalPath),
+          createdAt: new Date(`${day.slice(0, 4)}-${day.slice(4, 6)}-${day.slice(6)}T${time.slice(0, 2)}:${time.slice(2, 4)}:${time.slice(4)}.${millis}Z`),
+          originalExists: fs.existsSync(originalPath)
+        });
+      });
+    };
+
+    walk(root);
+    return conflicts.sort((a, b) => a.createdAt - b.createdAt);
+  }
+
+  /**
+   * Resolver un conflicto quedándose con una de las dos versiones
+   * @param {Object} conflict - Elemento devuelto por list()
+   * @param {string} keep - 'local' (versión actual) o 'container' (la copia en conflicto)
+   */
+  static resolve(conflict, keep) {
+    if (keep === 'container') {
+      fs.copyFileSync(conflict.conflictPath, conflict.originalPath);
+    } else if (keep !== 'local') {
+      throw new Error(`Versión no válida: ${keep} (usa local o container)`);
+    }
+
+    fs.rmSync(conflict.conflictPath, { force: true });
+  }
+}
+
+module.exports = SyncConflicts;
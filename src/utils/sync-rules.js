@@ -0,0 +1,167 @@
+const fs = require('fs');
+const path = require('path');
+
+const IGNORE_FILE = '.wpsiteignore';
+const DEFAULT_PATTERNS = ['node_modules/', '.git/', '.DS_Store'];
+const DIRECTIONS = ['toContainer', 'toLocal'];
+
+class SyncRules {
+
+  /**
+   * Reglas de sincronización de wp-content por dirección
+   * Orden (la última que coincide gana): por defecto, .wpsiteignore, sync.ignore,
+   * ignore de la dirección y, al final, los include que vuelven a incluir archivos
+   * @param {Object} sync - Configuración devuelta por ConfigHelper.getSyncConfig
+   * @param {string} cwd - Directorio del proyecto (por defecto el actual)
+   * @returns {Object} - { toContainer, toLocal, sources }
+   */
+  static getRules(sync = {}, cwd = process.cwd()) {
+    const ignoreFile = path.join(cwd, IGNORE_FILE);
+    const fileRules = fs.existsSync(ignoreFile) ? this.parse(fs.readFileSync(ignoreFile, 'utf8')) : [];
+    const sources = [];
+
+    if (fileRules.length > 0) sources.push(IGNORE_FILE);
+    if ((sync.ignore || []).length > 0 || (sync.include || []).length > 0) sources.push('sync.ignore/include');
+
+    const rules = { sources };
+    DIRECTIONS.forEach((direction) => {
+      const specific = sync[direction] || {};
+      if ((specific.ignore || []).length > 0 || (specific.include || []).length > 0) {
+        sources.push(`sync.${direction}`);
+      }
+
+      rules[direction] = [].concat(
+        this.parse(DEFAULT_PATTERNS),
+        fileRules,
+        this.parse(sync.ignore || []),
+        this.parse(specific.ignore || []),
+        this.parse(sync.include || [], true),
+        this.parse(specific.include || [], true)
+      );
+    });
+
+    return rules;
+  }
+
+  /**
+   * Interpretar patrones con sintaxis de .gitignore
+   * @param {string|string[]} patterns - Contenido de un archivo o lista de patrones
+   * @param {boolean} include - true = los patrones vuelven a incluir (como !patrón)
+   * @returns {Object[]} - Reglas { pattern, regex, negate, dirOnly }
+   */
+  static parse(patterns, include = false) {
+    const lines = Array.isArray(patterns) ? patterns : String(patterns).split(/\r?\n/);
+
+    return lines
+      .map(line => this.compile(String(line), include))
+      .filter(Boolean);
+  }
+
+  /**
+   * Convertir un patrón de .gitignore en regla
+   * @param {string} line - Línea del archivo
+   * @param {boolean} include - Invertir el patrón
+   * @returns {Object|null} - null para comentarios y líneas vacías
+   */
+  static compile(line, include = false) {
+    let pattern = line.replace(/(^|[^\\])\s+$/, '$1');
+    if (!pattern || pattern.startsWith('#')) return null;
+
+    let negate = include;
+    if (pattern.startsWith('!')) {
+      negate = !negate;
+      pattern = pattern.substring(1);
+    } else if (pattern.startsWith('\\!') || pattern.startsWith('\\#')) {
+      pattern = pattern.substring(1);
+    }
+
+    const dirOnly = pattern.endsWith('/');
+    pattern = pattern.replace(/\/+$/, '');
+    if (!pattern) return null;
+
+    // Con una barra al inicio o en medio el patrón es relativo a wp-content
+    const anchored = pattern.includes('/');
+    pattern = pattern.replace(/^\//, '');
+
+    return {
+      pattern: line.trim(),
+      regex: new RegExp(`${anchored ? '^' : '(?:^|/)'}${this.toRegexSource(pattern)}$`),
+      negate,
+      dirOnly
+    };
+  }
+
+  /**
+   * Traducir los comodines (*, **, ?, [abc]) a una expresión regular
+   * @param {string} pattern - Patrón sin barras al inicio ni al final
+   * @returns {string}
+   */
+  static toRegexSource(pattern) {
+    let source = '';
+
+    for (let i = 0; i < pattern.length; i++) {
+      const char = pattern[i];
+
+      if (char === '*' && pattern[i + 1] === '*') {
+        const atStart = i === 0;
+        const followedBySlash = pattern[i + 2] === '/';
+        if ((atStart || pattern[i - 1] === '/') && (followedBySlash || i + 2 === pattern.length)) {
+          // **/ = cualquier número de carpetas; /** al final = todo lo de dentro
+          source += followedBySlash ? '(?:.*/)?' : '.*';
+          i += followedBySlash ? 2 : 1;
+          continue;
+        }
+        source += '[^/]*';
+        i++;
+      } else if (char === '*') {
+        source += '[^/]*';
+      } else if (char === '?') {
+        source += '[^/]';
+      } else if (char === '[' && pattern.indexOf(']', i + 1) > i + 1) {
+        const end = pattern.indexOf(']', i + 1);
+        source += `[${pattern.substring(i + 1, end).replace(/^!/, '^').replace(/\\/g, '\\\\')}]`;
+        i = end;
+      } else if (char === '\\' && i + 1 < pattern.length) {
+        source += pattern[++i].replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+      } else {
+        source += char.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+      }
+    }
+
+    return source;
+  }
+
+  /**
+   * Comprobar si una ruta queda excluida (como git: si se excluye una carpeta,
+   * nada de lo que contiene puede volver a incluirse)
+   * @param {Object[]} rules - Reglas de una dirección
+   * @param {string} relativePath - Ruta relativa a wp-content
+   * @param {boolean} isDirectory - La ruta es una carpeta
+   * @returns {boolean}
+   */
+  static isIgnored(rules, relativePath, isDirectory = false) {
+    const parts = relativePath.split(path.sep).join('/').split('/').filter(Boolean);
+    if (parts.length === 0) return false;
+
+    for (let i = 1; i < parts.length; i++) {
+      if (this.matches(rules, parts.slice(0, i).join('/'), true)) return true;
+    }
+
+    return this.matches(rules, parts.join('/'), isDirectory);
+  }
+
+  static matches(rules, relativePath, isDirectory) {
+    let ignored = false;
+
+    rules.forEach((rule) => {
+      if (rule.dirOnly && !isDirectory) return;
+      if (rule.regex.test(relativePath)) {
+        ignored = !rule.negate;
+      }
+    });
+
+    return ignored;
+  }
+}
+
+module.exports = SyncRules;
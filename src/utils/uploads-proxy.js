@@ -0,0 +1,154 @@
+const fs = require('fs');
+const path = require('path');
+
+const PROXY_DIR = path.join('.wpsite', 'uploads-proxy');
+const CACHE_DIR = path.join('.wpsite', 'uploads-cache');
+const CONTAINER_PROXY_DIR = '/var/www/wpsite-proxy';
+const CONTAINER_CACHE_DIR = '/var/www/wpsite-cache';
+const PLACEHOLDER_HOST = 'tu-sitio-remoto.com';
+
+class UploadsProxy {
+
+  /**
+   * Obtener la configuración del proxy de uploads (null si no está configurado)
+   * @param {Object} config - Configuración del proyecto
+   * @returns {Object|null} - { url, cache }
+   */
+  static getProxyConfig(config = {}) {
+    const proxy = config.proxy || {};
+    const url = (proxy.uploads || '').trim().replace(/\/+$/, '');
+
+    // Ignorar el valor de ejemplo que genera wpsite init
+    if (!url || url.includes(PLACEHOLDER_HOST)) {
+      return null;
+    }
+
+    if (!/^https?:\/\//.test(url)) {
+      throw new Error(`proxy.uploads debe ser una URL http(s): ${url}`);
+    }
+
+    return {
+      url,
+      cache: proxy.cache === true
+    };
+  }
+
+  /**
+   * Generar la configuración de Apache (y el script PHP si hay caché) en .wpsite/
+   * @param {Object} proxy - Configuración devuelta por getProxyConfig
+   * @returns {string[]} - Argumentos extra de docker run (volúmenes)
+   */
+  static prepare(proxy) {
+    const proxyDir = path.resolve(process.cwd(), PROXY_DIR);
+    fs.mkdirSync(proxyDir, { recursive: true });
+
+    const confPath = path.join(proxyDir, 'uploads-proxy.conf');
+    const dockerArgs = [
+      '-v',
+      `${confPath}:/etc/apache2/conf-enabled/wpsite-uploads-proxy.conf:ro`
+    ];
+
+    if (proxy.cache) {
+      const cacheDir = path.resolve(process.cwd(), CACHE_DIR);
+      fs.mkdirSync(cacheDir, { recursive: true });
+      // www-data debe poder escribir en la caché montada
+      fs.chmodSync(cacheDir, 0o777);
+
+      fs.writeFileSync(path.join(proxyDir, 'uploads-proxy.php'), this.buildProxyScript(proxy));
+      dockerArgs.push(
+        '-v', `${proxyDir}:${CONTAINER_PROXY_DIR}:ro`,
+        '-v', `${cacheDir}:${CONTAINER_CACHE_DIR}`
+      );
+    }
+
+    fs.writeFileSync(confPath, this.buildApacheConfig(proxy));
+    return dockerArgs;
+  }
+
+  /**
+   * Reglas de Apache: los archivos de uploads que no existen localmente se piden al remoto
+   * @param {Object} proxy - Configuración del proxy
+   * @returns {string} - Contenido del .conf
+   */
+  static buildApacheConfig(proxy) {
+    const target = proxy.cache
+      ? '/__wpsite/uploads-proxy.php?path=$1 [B,L]'
+      : `${proxy.url}/$1 [R=302,L]`;
+
+    return `# Generado por wpsite - no editar
+${proxy.cache ? `Alias /__wpsite/uploads-proxy.php ${CONTAINER_PROXY_DIR}/uploads-proxy.php
+
+<Directory ${CONTAINER_PROXY_DIR}>
+    Require all granted
+</Directory>
+` : ''}
+<Directory /var/www/html/wp-content>
+    RewriteEngine On
+    RewriteOptions Inherit
+    RewriteCond %{REQUEST_FILENAME} !-f
+    RewriteRule ^uploads/(.+)$ ${target}
+</Directory>
+`;
+  }
+
+  /**
+   * Script PHP que sirve desde la caché local o descarga del remoto y guarda el archivo
+   * @param {Object} proxy - Configuración del proxy
+   * @returns {string} - Código PHP
+   */
+  static buildProxyScript(proxy) {
+    return `<?php
+// Generado por wpsite - no editar
+$remote = ${JSON.stringify(proxy.url)};
+$cacheDir = '${CONTAINER_CACHE_DIR}';
+$path = isset($_GET['path']) ? ltrim($_GET['path'], '/') : '';
+
+if ($path === '' || strpos($path, '..') !== false) {
+    http_response_code(400);
+    exit;
+}
+
+$cached = $cacheDir . '/' . $path;
+$content = null;
+
+if (!is_file($cached)) {
+    $url = $remote . '/' . implode('/', array_map('rawurlencode', explode('/', $path)));
+    $context = stream_context_create(array('http' => array('timeout' => 30, 'follow_location' => 1)));
+    $content = @file_get_contents($url, false, $context);
+
+    if ($content === false) {
+        http_response_code(404);
+        exit;
+    }
+
+    if (!is_dir(dirname($cached))) {
+        @mkdir(dirname($cached), 0777, true);
+    }
+    // Si la caché no se puede escribir (p. ej. permisos de www-data), se sirve lo descargado
+    if (@file_put_contents($cached, $content) !== false) {
+        $content = null;
+    }
+}
+
+$types = array(
+    'jpg' => 'image/jpeg', 'jpeg' => 'image/jpeg', 'png' => 'image/png', 'gif' => 'image/gif',
+    'webp' => 'image/webp', 'svg' => 'image/svg+xml', 'ico' => 'image/x-icon', 'pdf' => 'application/pdf',
+    'mp4' => 'video/mp4', 'webm' => 'video/webm', 'mp3' => 'audio/mpeg', 'css' => 'text/css',
+    'js' => 'application/javascript', 'json' => 'application/json', 'woff' => 'font/woff', 'woff2' => 'font/woff2'
+);
+$extension = strtolower(pathinfo($cached, PATHINFO_EXTENSION));
+
+header('Content-Type: ' . (isset($types[$extension]) ? $types[$extension] : 'application/octet-stream'));
+header('Content-Length: ' . ($content !== null ? strlen($content) : filesize($cached)));
+header('Cache-Control: public, max-age=86400');
+
+if ($content !== null) {
+    echo $content;
+} else {
+    readfile($cached);
+}
+`;
+  }
+}
+
+module.exports = UploadsProxy;
@@ -0,0 +1,295 @@
+const chalk = require('chalk');
+const crypto = require('crypto');
+const fs = require('fs');
+const https = require('https');
+const path = require('path');
+
+const LOCK_FILE = 'wpsite.lock.json';
+const WORDPRESS_DIR = './wordpress';
+const WORK_DIR = path.join('.wpsite', 'tmp');
+// Paquete del que se instaló ./wordpress (para compararlo con el lock)
+const INSTALL_INFO_FILE = '.wpsite-core.json';
+
+// Archivos y carpetas de ./wordpress que no pertenecen al core y se conservan al cambiar de versión
+const PRESERVED_ENTRIES = ['wp-content', 'wp-content-original', 'wp-config.php', '.htaccess'];
+
+class WordPressCore {
+
+  /**
+   * URL de descarga de una versión de WordPress
+   * @param {string} version - Versión exacta o "latest"
+   * @returns {string}
+   */
+  static getDownloadUrl(version = 'latest') {
+    return version === 'latest'
+      ? 'https://wordpress.org/latest.zip'
+      : `https://wordpress.org/wordpress-${version}.zip`;
+  }
+
+  /**
+   * Leer la versión instalada desde wp-includes/version.php
+   * @param {string} wordpressDir - Carpeta de WordPress
+   * @returns {string|null} - Versión o null si no hay instalación
+   */
+  static getInstalledVersion(wordpressDir = WORDPRESS_DIR) {
+    try {
+      const content = fs.readFileSync(path.join(wordpressDir, 'wp-includes', 'version.php'), 'utf8');
+      const match = content.match(/\$wp_version\s*=\s*'([^']+)'/);
+      return match ? match[1] : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Leer el lock de versiones del proyecto
+   * @returns {Object|null} - Contenido de wpsite.lock.json
+   */
+  static readLock() {
+    try {
+      return JSON.parse(fs.readFileSync(LOCK_FILE, 'utf8'));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * sha1 registrado en el lock para una versión concreta
+   * @param {string} version - Versión exacta
+   * @returns {string|null}
+   */
+  static getLockedSha1(version) {
+    const lock = this.readLock();
+    return lock && lock.wordpress && lock.wordpress.version === version ? lock.wordpress.sha1 || null : null;
+  }
+
+  /**
+   * Comprobar que ./wordpress se instaló desde el paquete registrado en el lock
+   * Sin sha1 en el lock o sin registro de la instalación no hay nada que comparar
+   * @param {string} wordpressDir - Carpeta de WordPress
+   * @returns {boolean}
+   */
+  static matchesLock(wordpressDir = WORDPRESS_DIR) {
+    const locked = this.getLockedSha1(this.getInstalledVersion(wordpressDir));
+    if (!locked) return true;
+
+    try {
+      const info = JSON.parse(fs.readFileSync(path.join(wordpressDir, INSTALL_INFO_FILE), 'utf8'));
+      return !info.sha1 || info.sha1 === locked;
+    } catch (error) {
+      return true;
+    }
+  }
+
+  /**
+   * Registrar la versión instalada en wpsite.lock.json
+   * @param {Object} info - { version, url, sha1 }
+   */
+  static writeLock(info) {
+    const lock = this.readLock() || {};
+    lock.wordpress = {
+      version: info.version,
+      url: info.url,
+      sha1: info.sha1,
+      installedAt: new Date().toISOString()
+    };
+    fs.writeFileSync(LOCK_FILE, JSON.stringify(lock, null, 2) + '\n');
+  }
+
+  /**
+   * Resolver la versión que debe usar el proyecto
+   * @param {Object} config - Configuración del proyecto
+   * @param {Object} options - Opciones de línea de comandos (wpVersion)
+   * @returns {Object} - { version, explicit } (explicit = indicada por --wp-version)
+   */
+  static resolveVersion(config = {}, options = {}) {
+    if (options.wpVersion) {
+      return { version: options.wpVersion, explicit: true };
+    }
+
+    const configured = config.wordpress && config.wordpress.version;
+    const lock = this.readLock();
+
+    // "latest" se fija a la versión registrada en el lock para que todo el equipo use la misma
+    if ((!configured || configured === 'latest') && lock && lock.wordpress) {
+      return { version: lock.wordpress.version, explicit: false };
+    }
+
+    return { version: configured || 'latest', explicit: false };
+  }
+
+  /**
+   * Descargar y verificar el zip de una versión con el sha1 publicado
+   * @param {string} version - Versión exacta o "latest"
+   * @returns {Promise<Object>} - { zipPath, url, sha1, verified }
+   */
+  static async download(version = 'latest') {
+    const url = this.getDownloadUrl(version);
+    fs.mkdirSync(WORK_DIR, { recursive: true });
+    const zipPath = path.join(WORK_DIR, `wordpress-${version}.zip`);
+
+    console.log(chalk.blue(`📥 Descargando WordPress ${version}...`));
+    const sha1 = await this.downloadFile(url, zipPath, (percentage) => {
+      process.stdout.write(`\r📦 Descargando WordPress: ${percentage}%`);
+    });
+    console.log(chalk.green('\n✅ Descarga completada'));
+
+    // wordpress.org publica el sha1 de cada paquete junto al zip
+    const expected = await this.fetchText(`${url}.sha1`).catch(() => null);
+    if (expected && expected.trim() !== sha1) {
+      fs.rmSync(zipPath, { force: true });
+      throw new Error(`Checksum inválido para WordPress ${version}`);
+    }
+
+    return { zipPath, url, sha1, verified: Boolean(expected) };
+  }
+
+  /**
+   * Instalar (o cambiar) el core en ./wordpress conservando wp-content y wp-config.php
+   * @param {string} version - Versión exacta o "latest"
+   * @returns {Promise<string>} - Versión instalada
+   */
+  static async install(version = 'latest') {
+    const AdmZip = require('adm-zip');
+    const { zipPath, url, sha1, verified } = await this.download(version);
+    const extractDir = path.join(WORK_DIR, `core-${Date.now()}`);
+
+    try {
+      console.log(chalk.blue('📂 Extrayendo archivos...'));
+      new AdmZip(zipPath).extractAllTo(extractDir, true);
+
+      const extracted = path.join(extractDir, 'wordpress');
+      const installedVersion = this.getInstalledVersion(extracted);
+      if (!installedVersion) {
+        throw new Error('WordPress no se extrajo correctamente');
+      }
+
+      // La versión fijada en el lock debe ser exactamente el paquete que se registró
+      const locked = this.getLockedSha1(installedVersion);
+      if (locked && locked !== sha1) {
+        throw new Error(`El paquete de WordPress ${installedVersion} no coincide con el sha1 de ${LOCK_FILE}`);
+      }
+      if (!locked && !verified) {
+        console.log(chalk.yellow(`⚠️ No se pudo verificar WordPress ${installedVersion}: wordpress.org no devolvió su sha1`));
+      }
+
+      if (!fs.existsSync(WORDPRESS_DIR)) {
+        fs.renameSync(extracted, WORDPRESS_DIR);
+      } else {
+        this.replaceCore(extracted, WORDPRESS_DIR);
+      }
+      fs.writeFileSync(path.join(WORDPRESS_DIR, INSTALL_INFO_FILE), JSON.stringify({ version: installedVersion, sha1 }) + '\n');
+
+      this.writeLock({ version: installedVersion, url, sha1 });
+      console.log(chalk.green(`✅ WordPress ${installedVersion} instalado`));
+      return installedVersion;
+    } finally {
+      fs.rmSync(extractDir, { recursive: true, force: true });
+      fs.rmSync(zipPath, { force: true });
+    }
+  }
+
+  /**
+   * Reemplazar los archivos del core de una instalación existente
+   * @param {string} sourceDir - Core recién extraído
+   * @param {string} targetDir - Instalación existente
+   */
+  static replaceCore(sourceDir, targetDir) {
+    fs.readdirSync(targetDir)
+      .filter(entry => !PRESERVED_ENTRIES.includes(entry))
+      .forEach(entry => fs.rmSync(path.join(targetDir, entry), { recursive: true, force: true }));
+
+    fs.readdirSync(sourceDir)
+      .filter(entry => !PRESERVED_ENTRIES.includes(entry))
+      .forEach(entry => fs.cpSync(path.join(sourceDir, entry), path.join(targetDir, entry), { recursive: true }));
+  }
+
+  /**
+   * Descargar un archivo mostrando progreso y calculando su sha1
+   * @param {string} url - URL a descargar (sigue redirecciones)
+   * @param {string} destination - Ruta de destino
+   * @param {Function} onProgress - Callback con el porcentaje (opcional)
+   * @returns {Promise<string>} - sha1 del archivo
+   */
+  static downloadFile(url, destination, onProgress) {
+    return new Promise((resolve, reject) => {
+      const request = https.get(url, (response) => {
+        if ([301, 302, 307, 308].includes(response.statusCode) && response.headers.location) {
+          response.resume();
+          this.downloadFile(response.headers.location, destination, onProgress).then(resolve, reject);
+          return;
+        }
+
+        if (response.statusCode === 404) {
+          response.resume();
+          reject(new Error('Versión de WordPress no encontrada'));
+          return;
+        }
+
+        if (response.statusCode !== 200) {
+          response.resume();
+          reject(new Error(`Error descargando WordPress (HTTP ${response.statusCode})`));
+          return;
+        }
+
+        const totalSize = parseInt(response.headers['content-length'], 10);
+        const hash = crypto.createHash('sha1');
+        const file = fs.createWriteStream(destination);
+        let downloadedSize = 0;
+        let lastPercent = 0;
+
+        response.on('data', (chunk) => {
+          hash.update(chunk);
+          downloadedSize += chunk.length;
+          const percentage = Math.floor((downloadedSize / totalSize) * 100);
+
+          if (onProgress && percentage >= lastPercent + 5) {
+            lastPercent = percentage;
+            onProgress(percentage);
+          }
+        });
+
+        response.pipe(file);
+        file.on('finish', () => file.close(() => resolve(hash.digest('hex'))));
+        file.on('error', reject);
+      });
+
+      request.on('error', (error) => {
+        reject(new Error(`Error descargando WordPress: ${error.message}`));
+      });
+
+      request.setTimeout(600000, () => {
+        request.destroy();
+        reject(new Error('Timeout descargando WordPress'));
+      });
+    });
+  }
+
+  /**
+   * Obtener un texto corto por HTTPS (p. ej. el sha1 publicado)
+   * @param {string} url - URL a consultar
+   * @returns {Promise<string>}
+   */
+  static fetchText(url) {
+    return new Promise((resolve, reject) => {
+      const request = https.get(url, (response) => {
+        if (response.statusCode !== 200) {
+          response.resume();
+          reject(new Error(`HTTP ${response.statusCode}`));
+          return;
+        }
+
+        let body = '';
+        response.on('data', (chunk) => {
+          body += chunk;
+        });
+        response.on('end', () => resolve(body));
+      });
+
+      request.on('error', reject);
+      request.setTimeout(15000, () => request.destroy(new Error('timeout')));
+    });
+  }
+}
+
+module.exports = WordPressCore;
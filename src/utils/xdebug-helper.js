@@ -0,0 +1,128 @@
+const { execFile } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const DockerHelper = require('./docker-helper');
+
+const XDEBUG_DIR = path.join('.wpsite', 'xdebug');
+const CONTAINER_XDEBUG_INI = '/usr/local/etc/php/conf.d/zz-wpsite-xdebug.ini';
+const HOST_ALIAS = 'host.docker.internal';
+const DEFAULT_PORT = 9003;
+
+class XdebugHelper {
+
+  /**
+   * Obtener la configuración de Xdebug (null si está desactivado)
+   * @param {Object} config - Configuración del proyecto
+   * @param {Object} options - Opciones de línea de comandos (xdebug)
+   * @returns {Object|null} - { port, mode, startWithRequest, clientHost }
+   */
+  static getXdebugConfig(config = {}, options = {}) {
+    const xdebug = config.xdebug || {};
+
+    if (!options.xdebug && xdebug.enabled !== true) {
+      return null;
+    }
+
+    return {
+      port: parseInt(xdebug.port, 10) || DEFAULT_PORT,
+      mode: xdebug.mode || 'debug',
+      startWithRequest: xdebug.startWithRequest || 'yes',
+      clientHost: xdebug.clientHost || HOST_ALIAS
+    };
+  }
+
+  /**
+   * Generar el ini que activa Xdebug y devolver los argumentos de docker run
+   * La extensión viene instalada (desactivada) en la imagen: activarla no requiere reconstruir
+   * @param {Object} xdebug - Configuración devuelta por getXdebugConfig
+   * @returns {string[]} - Argumentos extra de docker run
+   */
+  static prepare(xdebug) {
+    const dir = path.resolve(process.cwd(), XDEBUG_DIR);
+    fs.mkdirSync(dir, { recursive: true });
+
+    const iniPath = path.join(dir, 'xdebug.ini');
+    fs.writeFileSync(iniPath, this.buildIni(xdebug));
+
+    const dockerArgs = ['-v', `${iniPath}:${CONTAINER_XDEBUG_INI}:ro`];
+
+    // Docker Desktop (macOS/Windows) ya resuelve host.docker.internal; en Linux hay que declararlo
+    if (process.platform === 'linux' && xdebug.clientHost === HOST_ALIAS) {
+      dockerArgs.push('--add-host', `${HOST_ALIAS}:host-gateway`);
+    }
+
+    return dockerArgs;
+  }
+
+  /**
+   * Contenido del ini de Xdebug
+   * @param {Object} xdebug - Configuración de Xdebug
+   * @returns {string}
+   */
+  static buildIni(xdebug) {
+    return `; Generado por wpsite - no editar
+zend_extension = xdebug
+xdebug.mode = ${xdebug.mode}
+xdebug.start_with_request = ${xdebug.startWithRequest}
+xdebug.client_host = ${xdebug.clientHost}
+xdebug.client_port = ${xdebug.port}
+xdebug.discover_client_host = 0
+xdebug.log_level = 0
+`;
+  }
+
+  /**
+   * Comprobar que la imagen incluye xdebug.so (las construidas antes de añadir Xdebug no lo tienen
+   * y el ini solo provocaría un aviso en cada arranque de PHP)
+   * @param {string} image - Imagen de wpsite
+   * @returns {Promise<boolean>}
+   */
+  static isInstalled(image) {
+    const check = 'echo file_exists(ini_get("extension_dir") . "/xdebug.so") ? "yes" : "no";';
+
+    return new Promise((resolve) => {
+      execFile('docker', ['run', '--rm', '--entrypoint', 'php', image, '-r', check], (error, stdout) => {
+        resolve(!error && stdout.trim() === 'yes');
+      });
+    });
+  }
+
+  /**
+   * Verificar que Xdebug está cargado en el contenedor
+   * @param {string} containerId - ID del contenedor
+   * @returns {Promise<string|null>} - Versión de Xdebug o null si no está disponible
+   */
+  static async getLoadedVersion(containerId) {
+    try {
+      const version = await DockerHelper.execInContainer(containerId, 'php -r \'echo phpversion("xdebug");\'');
+      return version || null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Configuración de VS Code (PHP Debug) lista para pegar en .vscode/launch.json
+   * @param {Object} xdebug - Configuración de Xdebug
+   * @returns {string} - JSON de launch.json
+   */
+  static buildLaunchConfig(xdebug) {
+    return JSON.stringify({
+      version: '0.2.0',
+      configurations: [
+        {
+          name: 'Listen for Xdebug (wpsite)',
+          type: 'php',
+          request: 'launch',
+          port: xdebug.port,
+          pathMappings: {
+            '/var/www/html/wp-content': '${workspaceFolder}/wp-content',
+            '/var/www/html': '${workspaceFolder}/wordpress'
+          }
+        }
+      ]
+    }, null, 2);
+  }
+}
+
+module.exports = XdebugHelper;